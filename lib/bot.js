@@ -1,35 +1,59 @@
 import 'babel-polyfill';
+import fs from 'fs';
+import path from 'path';
 import _ from 'lodash';
-import Gists from 'gists';
-import lang from 'language-classifier';
 import irc from 'irc';
 import request from 'request';
 import logger from 'winston';
 import { AllHtmlEntities } from 'html-entities';
-import { RTMClient, WebClient } from '@slack/client';
+import { WebClient } from '@slack/client';
 import { ConfigurationError } from './errors';
-import emojis from '../assets/emoji.json';
-import { validateChannelMapping } from './validators';
-import { highlightUsername } from './helpers';
-import { commandHelp, ircTopic, onlineIRCUsers, privMessage, resetIRC } from './commands';
-
-const ALLOWED_SUBTYPES = ['me_message', 'file_share'];
+import { validateChannelMapping, validateSasl, validateWebirc } from './validators';
+import {
+  describeEdit, highlightUsername, renderTemplate, webircHost
+} from './helpers';
+import { invalidMutePattern, isMutedIRCUser, matchesAny } from './mute';
+import RelayStore from './relay-store';
+import RelayOrder from './relay-order';
+import ReactionDigest from './reactions';
+import {
+  CUSTOM_EMOJI_MODES, emojiToIRC, shortcodesToIRC, slackEmojiName, unicodeToSlack
+} from './emoji';
+import EmojiCache from './emoji-cache';
+import TopicSync, { TOPIC_SYNC_MODES } from './topic-sync';
+import ChannelDirectory from './channel-directory';
+import UserCache from './user-cache';
+import ShadowNicks from './shadow-nicks';
+import UserSettings from './user-settings';
+import {
+  hasCap, HISTORY_BATCH_TYPES, ircAccount, IRCV3_CAPS, negotiateCaps
+} from './cap-negotiation';
+import IRCHistory, { describeGap, historyLabel } from './irc-history';
+import { identdOnPort } from './identd';
+import SlackDispatcher from './slack-dispatcher';
+import { createQueueStore } from './queue-store';
+import { createTransport } from './slack-transports';
+import { createUploader, LocalUploader } from './uploaders';
+import { createPasteProvider, LocalPasteProvider } from './paste-providers';
+import { codeFilename, detectLanguage, extractCodeBlocks } from './code-blocks';
+import { messageByteLimit, toIRCLines } from './irc-lines';
+import {
+  ircToSlack, slackToIRC, stripIRCFormatting, stripSlackFormatting
+} from './formatting';
+import {
+  commandHelp, identifyNickServ, ircTopic, muteUser, onlineIRCUsers, privMessage, resetIRC,
+  setNick, unmuteUser
+} from './commands';
+
+const ALLOWED_SUBTYPES = ['me_message', 'file_share', 'thread_broadcast'];
 const REQUIRED_FIELDS = ['server', 'nickname', 'channelMapping', 'token'];
 const SLACK_REGEX = /@(\S+)/g;
 const SERVER_NICKLEN = 16;
-const CODE_REGEX = /```([^]*)```/;
-
-const extensions = { ruby: 'rb',
-  python: 'py',
-  javascript: 'js',
-  'objective-c': 'm',
-  html: 'html',
-  css: 'css',
-  shell: 'sh',
-  'c++': 'cpp',
-  c: 'c',
-  text: 'txt',
-  markdown: 'md' };
+const EDIT_MODES = ['diff', 'resend', 'notice'];
+const THREAD_MODES = ['off', 'inline', 'parent-only'];
+const FORMATTING_MODES = ['convert', 'strip'];
+const THREAD_REPLY_WINDOW = 60 * 60 * 1000; // Milliseconds
+const MAX_NICK_COLLISIONS = 10;
 
   const userName = (user) => {
     return user.profile.display_name_normalized || user.name;
@@ -39,13 +63,11 @@ const extensions = { ruby: 'rb',
     return channel.name_normalized || channel.name;
   };
 
-const asyncReplace = async (method, str, regex) => {
+const asyncReplace = async (lookupUser, str, regex) => {
   const promises = [];
 
   str.replace(regex, (match, id) => {
-    promises.push(method({ user: id }).then(resp => {
-      return [id, `@${userName(resp.user)}`];
-    }));
+    promises.push(lookupUser(id).then(user => [id, `@${userName(user)}`]));
   });
   const results = await Promise.all(promises);
   const replacements = results.reduce((a, [id, name]) => {
@@ -55,6 +77,20 @@ const asyncReplace = async (method, str, regex) => {
   return str.replace(regex, (match, id, readable) => readable || replacements[id]);
 };
 
+// Adds a TLS client certificate, given as file paths, to the `secure` options for irc-upd
+const withClientCertificate = (secure, { cert, key, passphrase }) => ({
+  ...(_.isPlainObject(secure) ? secure : {}),
+  cert: fs.readFileSync(cert),
+  key: fs.readFileSync(key || cert),
+  passphrase
+});
+
+// When the IRC server saw a message, from its server-time tag if there is one
+const serverTime = (raw) => {
+  const time = raw && raw.tags && Date.parse(raw.tags.time);
+  return time || Date.now();
+};
+
 /**
  * An IRC bot, works as a middleman for all communication
  * @param {object} options
@@ -68,27 +104,65 @@ class Bot {
     });
 
     validateChannelMapping(options.channelMapping);
+    if (options.sasl) validateSasl(options.sasl);
+    if (options.webirc) validateWebirc(options.webirc);
 
     const web = new WebClient(options.token);
-    const rtm = new RTMClient(options.token);
+    const transport = createTransport(options.token, web, options.transport);
     this.token = options.token;
-    this.slack = { web, rtm };
+    this.slack = { web, transport };
+    // Posts are rate limited and retried by the dispatcher, in order, instead of by the client
+    const postingWeb = new WebClient(options.token, { rejectRateLimitedCalls: true, retryConfig: { retries: 0 } });
+    this.slackDispatcher = new SlackDispatcher(postingWeb);
 
     this.server = options.server;
+    this.network = options.network || options.server;
     this.nickname = options.nickname;
     this.statusChanges = options.statusChanges || false;
     this.ircStatusNotices = options.ircStatusNotices || {};
-    this.clientId = options.imgur.clientId || '';
+    // The older `imgur` option still works on its own
+    const uploads = options.uploads || (options.imgur && options.imgur.clientId && { type: 'imgur', ...options.imgur });
+    this.uploader = uploads ? createUploader(uploads) : null;
     this.commandCharacters = options.commandCharacters || [];
     this.slackChannels = _.keys(options.channelMapping);
-    this.ircChannels = _.values(options.channelMapping);
+    this.ircChannels = _.values(options.channelMapping)
+      .map(mapping => (_.isPlainObject(mapping) ? mapping.channel : mapping));
     this.muteSlackbot = options.muteSlackbot || false;
+    this.muteUsers = { irc: [], slack: [], ...options.muteUsers };
+    _.forEach(_.pick(this.muteUsers, ['irc', 'slack']), (patterns, side) => patterns.forEach((pattern) => {
+      const invalid = invalidMutePattern(pattern);
+      if (invalid) throw new ConfigurationError(`muteUsers.${side} entry ${pattern} can't be used: ${invalid}`);
+    }));
+    this.admins = options.admins || [];
     this.nickSuffix = options.userNickSuffix || '-sl';
-    this.nickRegex = new RegExp(`@?(\\S+${this.nickSuffix}\\d?)`, 'g');
+    this.nickRegex = new RegExp(`@?(\\S+${this.nickSuffix}\\d*)`, 'g');
+    this.userSettings = new UserSettings(options.userSettingsFile || 'slack-irc-users.json');
+    this.shadowNicks = new ShadowNicks(this.nickSuffix, SERVER_NICKLEN, this.userSettings);
     this.disconnectOnAway = options.disconnectOnAway || false;
     this.ircTimeout = options.ircTimeout || 120; // Seconds
+    this.userCacheTTL = options.userCacheTTL || 3600; // Seconds
+    this.shadowClients = options.shadowClients !== false;
+    this.sasl = options.sasl;
+    this.clientCertificate = options.clientCertificate;
+    this.shadowSasl = options.shadowSasl || false;
+    this.shadowCertificates = options.shadowClientCertificates;
+    // Why a Slack user's shadow client gave up. Their messages go through the bot until they fix it.
+    this.clientFailures = {};
+    this.webirc = options.webirc;
+    // Either true for the standard port 113, or an object with `port` and `host`
+    this.identd = options.identd === true ? {} : options.identd;
+    // Either true for the bot alone, or an object with `shadowClients`
+    this.ircv3 = options.ircv3 === true ? {} : options.ircv3;
     this.ircNameList = null;  // options.nameList;
-    this.gistConfig = options.gists || {};
+    const paste = options.paste || {};
+    this.pasteProvider = paste.type ? createPasteProvider(paste) : null;
+    // Local uploads and pastes are each served by their own web server
+    if (this.uploader instanceof LocalUploader && this.pasteProvider instanceof LocalPasteProvider
+      && this.uploader.port != null && this.uploader.port === this.pasteProvider.port) {
+      throw new ConfigurationError(`uploads and paste can't both be served on port ${this.uploader.port}`);
+    }
+    this.pasteDescription = paste.description || 'Posted by $author in $channel on Slack';
+    this.inlineCodeLines = options.inlineCodeLines == null ? 3 : options.inlineCodeLines;
 
     this.ircOptions = {
       userName: this.nickname,
@@ -102,6 +176,45 @@ class Bot {
     };
     this.ircClients = {};
     this.messageQueues = {};
+    this.unconfirmedMessages = {};
+    // Messages taken off a queue whose IRC text isn't ready yet, by ts
+    this.sendingMessages = {};
+    const queueConfig = options.messageQueue || {};
+    this.queueStore = createQueueStore(queueConfig);
+    // Settles once the queues persisted before a restart are back in messageQueues
+    this.queuesRestored = Promise.resolve();
+    this.queueMaxAge = queueConfig.maxAge || 3600; // Seconds
+    this.relayedMessages = new RelayStore(options.relayHistorySize);
+    this.relayOrder = new RelayOrder();
+    this.ircHistory = new IRCHistory();
+    this.topicSync = options.topicSync || 'off';
+    this.slackTopicFormat = options.slackTopicFormat || '$topic';
+    this.ircTopicFormat = options.ircTopicFormat || '$topic';
+    this.topicMirror = new TopicSync();
+
+    this.relayDeletions = options.relayDeletions || false;
+    this.relayReactions = options.relayReactions || false;
+    // IRC messages posted to Slack by timestamp, and where IRC message IDs ended up on Slack
+    this.postedMessages = new RelayStore(options.relayHistorySize);
+    this.ircMessageIds = new RelayStore(options.relayHistorySize);
+    // Which IRC nicks added each reaction the bot put on a Slack message
+    this.ircReactions = new RelayStore(options.relayHistorySize);
+    this.reactionDigest = new ReactionDigest((relayed, summary) => this.sendReactionSummary(relayed, summary));
+    this.threads = options.threads || 'off';
+    this.ircMaxLines = options.ircMaxLines == null ? 5 : options.ircMaxLines;
+    this.formatting = options.formatting || 'convert';
+    if (FORMATTING_MODES.indexOf(this.formatting) === -1) {
+      throw new ConfigurationError(`formatting must be one of ${FORMATTING_MODES.join(', ')}`);
+    }
+    this.customEmoji = options.customEmoji || 'shortcode';
+    if (CUSTOM_EMOJI_MODES.indexOf(this.customEmoji) === -1) {
+      throw new ConfigurationError(`customEmoji must be one of ${CUSTOM_EMOJI_MODES.join(', ')}`);
+    }
+    this.lastThreads = {};
+    this.messageEdits = options.messageEdits || 'diff';
+    if (EDIT_MODES.indexOf(this.messageEdits) === -1) {
+      throw new ConfigurationError(`messageEdits must be one of ${EDIT_MODES.join(', ')}`);
+    }
 
     const defaultUrl = 'http://api.adorable.io/avatars/48/$username.png';
     // Disable if it's set to false, override default with custom if available:
@@ -109,23 +222,66 @@ class Bot {
     this.slackUsernameFormat = options.slackUsernameFormat || '$username (IRC)';
     this.ircUsernameFormat = options.ircUsernameFormat == null ? '<$username> ' : options.ircUsernameFormat;
     this.channelMapping = {};
+    this.channelOptions = {};
 
-    // Remove channel passwords from the mapping and lowercase IRC channel names
-    _.forOwn(options.channelMapping, (ircChan, slackChan) => {
+    // Remove channel passwords from the mapping and lowercase IRC channel names.
+    // Object mappings keep their remaining keys as per-channel overrides.
+    _.forOwn(options.channelMapping, (mapping, slackChan) => {
+      const ircChan = _.isPlainObject(mapping) ? mapping.channel : mapping;
       this.channelMapping[slackChan] = ircChan.split(' ')[0].toLowerCase();
+      this.channelOptions[slackChan] = _.isPlainObject(mapping) ? _.omit(mapping, 'channel') : {};
     }, this);
 
+    _.forOwn(this.channelOptions, (overrides, slackChan) => {
+      if (THREAD_MODES.indexOf(this.channelOption(slackChan, 'threads')) === -1) {
+        throw new ConfigurationError(`threads must be one of ${THREAD_MODES.join(', ')}`);
+      }
+      if (TOPIC_SYNC_MODES.indexOf(this.channelOption(slackChan, 'topicSync')) === -1) {
+        throw new ConfigurationError(`topicSync must be one of ${TOPIC_SYNC_MODES.join(', ')}`);
+      }
+    });
+
     this.invertedMapping = _.invert(this.channelMapping);
     this.autoSendCommands = options.autoSendCommands || [];
   }
 
   connect() {
     logger.debug('Connecting to IRC and Slack');
-    this.slack.rtm.start()
+    this.channelDirectory = new ChannelDirectory(this.slack.web);
+    this.userCache = new UserCache(this.slack.web, this.userCacheTTL);
+    this.emojiCache = new EmojiCache(this.slack.web);
+    // Shows how many Web API calls the user cache saves, without keeping the process alive
+    this.userCacheStats = setInterval(() => logger.debug('Slack user cache', this.userCache.stats()),
+      this.userCacheTTL * 1000);
+    this.userCacheStats.unref();
+    this.userSettings.load()
+      .catch(error => { logger.error('Could not load user settings', error); });
+    this.queuesRestored = this.restoreMessageQueues();
+    this.slack.transport.start()
       .then((_resp) => { /* success */ })
-      .catch((error) => { logger.debug(`Could not start RTM ${error}`); });
+      .catch((error) => { logger.error('Could not connect to Slack', error); });
 
-    this.ircClient = new irc.Client(this.server, this.nickname, this.ircOptions);
+    // Only the bot uses its certificate, shadow clients start from the same ircOptions
+    const ircOptions = this.clientCertificate == null ? this.ircOptions : {
+      ...this.ircOptions,
+      secure: withClientCertificate(this.ircOptions.secure, this.clientCertificate)
+    };
+    this.ircClient = new irc.Client(this.server, this.nickname, ircOptions);
+    if (this.uploader instanceof LocalUploader && this.uploader.port != null) {
+      this.uploader.listen()
+        .catch((error) => { logger.error('Could not serve uploaded files', error); });
+    }
+    if (this.pasteProvider instanceof LocalPasteProvider && this.pasteProvider.port != null) {
+      this.pasteProvider.listen()
+        .catch((error) => { logger.error('Could not serve pastes', error); });
+    }
+    if (this.identd) {
+      identdOnPort(this.identd.port, this.identd.host)
+        .add((localPort, remotePort) => this.identUser(localPort, remotePort));
+    }
+    if (this.sasl || this.ircv3) {
+      negotiateCaps(this.ircClient, { caps: this.ircv3 ? IRCV3_CAPS : [], sasl: this.sasl });
+    }
     this.ircClient.connect(5, msg => {
       if (msg.rawCommand === '001') {
         logger.debug('IRC bot connected.');
@@ -137,8 +293,6 @@ class Bot {
       }
     });
     this.attachListeners();
-    this.gists = new Gists({ username: this.gistConfig.username,
-      password: this.gistConfig.password });
   }
 
   startNamelist(ircChannel) {
@@ -148,11 +302,34 @@ class Bot {
   }
 
   attachListeners() {
-    this.slack.rtm.on('open', () => {
+    this.slack.transport.on('open', () => {
       logger.debug('Connected to Slack');
-      for (const key of this.slackChannels) {
-        this.checkActiveUsers(key);
-      }
+      Promise.all([this.channelDirectory.load(), this.userCache.load()])
+        .then(() => {
+          for (const key of this.slackChannels) {
+            this.checkActiveUsers(key);
+          }
+          return this.replayMessageQueues();
+        })
+        .catch(error => { logger.debug(`Error ${error} loading channels and users on Slack open`); });
+    });
+
+    // Keep the channel directory current without listing all channels again
+    ['channel_created', 'channel_rename', 'channel_joined', 'group_joined', 'group_rename'].forEach(type => {
+      this.slack.transport.on(type, event => this.channelDirectory.update(event.channel));
+    });
+
+    this.slack.transport.on('channel_left', event => {
+      const { activeUserId } = this.slack.transport;
+      this.channelDirectory.memberLeft(event.channel, activeUserId, activeUserId);
+    });
+
+    this.slack.transport.on('member_left_channel', event => {
+      this.channelDirectory.memberLeft(event.channel, event.user, this.slack.transport.activeUserId);
+    });
+
+    ['channel_deleted', 'channel_archive', 'group_archive'].forEach(type => {
+      this.slack.transport.on(type, event => this.channelDirectory.remove(event.channel));
     });
 
     this.ircClient.on('registered', (message) => {
@@ -166,85 +343,109 @@ class Bot {
       logger.error('Received error event from IRC', error);
     });
 
+    // A welcome after the first one means we reconnected, and may have missed messages since
+    // the server was last heard from. Channels are backfilled as they're joined again.
+    this.ircClient.on('raw', (message) => {
+      if (message.rawCommand === '001' && this.ircLastSeen != null) {
+        this.backfill = { since: this.ircLastSeen, channels: {} };
+      }
+      this.ircLastSeen = Date.now();
+    });
+
+    this.ircClient.on('join', (channel, nick) => {
+      const key = channel.toLowerCase();
+      if (nick !== this.ircClient.nick || this.backfill == null || !this.invertedMapping[key]) return;
+      if (this.backfill.channels[key]) return;
+      this.backfill.channels[key] = true;
+      this.backfillHistory(channel, this.backfill.since);
+    });
+
+    this.ircClient.on('topic', (channel, topic, nick) => {
+      this.relayIRCTopic(channel, topic, nick);
+    });
+
+    this.ircClient.on('batch', (batch) => {
+      if (HISTORY_BATCH_TYPES.indexOf(batch.type) > -1) this.relayHistory(batch);
+    });
+
+    this.ircClient.on('tagmsg', (target, tags, message) => {
+      this.relayIRCReaction(target, tags, message);
+    });
+
+    this.ircClient.on('saslFailed', (reason) => {
+      logger.error(`IRC bot could not log in with SASL: ${reason}. Not reconnecting, check the sasl option.`);
+    });
+
     this.ircClient.on('abort', () => {
       logger.error('Maximum IRC retry count reached, exiting.');
       process.exit(1);
     });
 
-    this.slack.rtm.on('error', (error) => {
+    this.slack.transport.on('error', (error) => {
       logger.error('Received error event from Slack', error);
     });
 
-    this.slack.rtm.on('message', (message) => {
+    this.slack.transport.on('message', (message) => {
       // Ignore bot messages and people leaving/joining
       if (message.type === 'message' && message.subtype !== 'bot_message') {
         logger.debug(JSON.stringify(message));
-        const messageUser = message.user || message.message.user;
-        this.slack.web.users.info({ user: messageUser }).then(resp => {
-          const { user } = resp;
-          if (message.files && /image/.test(message.files[0].mimetype)) {  // image attached
-            this.sendImageMessage(message, user);
-          } else if (message.files && message.files[0].mode === 'snippet') {  // code snippet attached
-            this.sendSnippetMessage(message, user);
+        // Edits and deletions carry the author on the changed or deleted message
+        const messageUser = message.user || (message.message || message.previous_message).user;
+        this.userCache.get(messageUser).then(user => {
+          if (this.isMutedSlackUser(user)) {
+            logger.debug(`Ignoring message from muted Slack user ${userName(user)}.`);
+            return;
+          }
+          if (message.files && message.files.length > 0) { // files or code snippets attached
+            this.sendFileMessage(message, user);
           } else if (message.subtype === 'message_changed') {
-            const text = 'Notice: Message edits are not relayed to IRC.';
-            this.slack.web.chat.postEphemeral({
-              channel: message.channel,
-              text,
-              user: message.message.user,
-              as_user: true
-            }).then(_resp => { /* success */ })
-              .catch(error => {
-                logger.debug(`Error ${error} posting Ephemeral for message_changed`);
-              });
+            this.relayEdit(message, user);
+          } else if (message.subtype === 'message_deleted') {
+            this.relayDeletion(message, user);
+          } else if (message.subtype === 'channel_topic' || message.subtype === 'group_topic') {
+            this.relaySlackTopic(message);
           } else if (!message.subtype || ALLOWED_SUBTYPES.indexOf(message.subtype) > -1) {
-            const final = message;
-            if (CODE_REGEX.test(message.text)) {
-              const match = message.text.match(CODE_REGEX);
-              this.createGist({ content: match[1] }, (err, res) => {
-                if (err == null) {
-                  final.text = final.text.replace(match[0], res.html_url);
-                }
-                this.queueMessage(user, final);
-              });
+            const blocks = extractCodeBlocks(message.text || '');
+            if (blocks.length > 0) {
+              this.sendCodeMessage(message, user, blocks);
             } else {
-              this.queueMessage(user, final);
+              this.queueMessage(user, message);
             }
           }
-        }).catch(error => { logger.debug(`Error ${error} getting users info in RTM on message`); });
+        }).catch(error => { logger.debug(`Error ${error} getting users info on Slack message`); });
       }
     });
 
-    this.slack.rtm.on('member_joined_channel', message => {
+    this.slack.transport.on('member_joined_channel', message => {
+      this.channelDirectory.memberJoined(message.channel, message.user, this.slack.transport.activeUserId);
       const text = 'Welcome! This channel has a two-way bridge to the #selenium IRC ' +
         'channel on freenode. Please see the pinned \'Interacting with IRC from Slack\' ' +
         'post for more information.';
-      this.slack.web.chat.postEphemeral({ channel: message.channel,
+      this.slackDispatcher.call('chat.postEphemeral', { channel: message.channel,
         text,
         user: message.user,
-        as_user: true })
+        as_user: true }, { priority: 'interactive' })
         .then((_resp) => { /* success */ })
         .catch(error => { logger.debug(`Error ${error} posting Ephemeral in member_joined_channel`); });
     });
 
-    this.slack.rtm.on('user_typing', event => {
+    this.slack.transport.on('user_typing', event => {
       // Start up a client for the user once they start typing
       if (!(event.user in this.ircClients)) {
-        this.slack.web.users.info({ user: event.user })
-          .then((resp) => {
-            this.connectNewClient(resp.user);
+        this.userCache.get(event.user)
+          .then((user) => {
+            this.connectNewClient(user);
           })
           .catch(error => { logger.debug(`Error ${error} getting users info in user_typing event`); });
       }
     });
 
-    this.slack.rtm.on('presence_change', event => {
+    this.slack.transport.on('presence_change', event => {
       // Connect/disconnect based on 'active'/'away' Slack status
       // if option 'statusChanges' is set to true
       if (!this.statusChanges) return;
-      this.slack.web.users.info({ user: event.user })
-        .then(resp => {
-          const user = resp.user;
+      this.userCache.get(event.user)
+        .then(user => {
           const name = userName(user);
           logger.debug(`Slack user ${name} status changed to ${event.presence}.`);
           this.isBot(user.id).then(isbot => {
@@ -277,35 +478,40 @@ class Bot {
         });
     });
 
-    this.slack.rtm.on('user_change', event => {
+    this.slack.transport.on('user_change', event => {
       logger.debug(`User change ${JSON.stringify(event)}`);
-      this.slack.web.users.info({ user: event.user.id })
-        .then(resp => {
-          const user = resp.user;
-          const name = userName(user);
-          const client = this.ircClients[user.id];
-          const ircNick = this.ircNick(name);
-          if (client && ircNick !== client.nick) {
-            logger.debug(`Slack user name change ${client.nick} -> ${ircNick}.`);
-            client.send('NICK', ircNick);
-            client.slackName = name;
-          }
-        })
-        .catch(error => {
-          logger.debug(`Error ${error} getting users info in RTM user_change event`);
-        });
+      const user = this.userCache.set(event.user);
+      const name = userName(user);
+      const client = this.ircClients[user.id];
+      const ircNick = this.shadowNick(user);
+      if (client && ircNick !== client.nick) {
+        logger.debug(`Slack user name change ${client.nick} -> ${ircNick}.`);
+        this.changeNick(user, ircNick);
+        client.slackName = name;
+      }
+    });
+
+    this.slack.transport.on('team_join', event => {
+      this.userCache.set(event.user);
+    });
+
+    this.slack.transport.on('emoji_changed', event => {
+      this.emojiCache.update(event);
     });
 
+    this.slack.transport.on('reaction_added', event => this.relaySlackReaction(event, true));
+    this.slack.transport.on('reaction_removed', event => this.relaySlackReaction(event, false));
+
     this.ircClient.on('message', this.sendToSlack.bind(this));
 
-    this.ircClient.on('notice', (author, to, text) => {
+    this.ircClient.on('notice', (author, to, text, raw) => {
       const formattedText = `*${text}*`;
-      this.sendToSlack(author, to, formattedText);
+      this.sendToSlack(author, to, formattedText, raw);
     });
 
-    this.ircClient.on('action', (author, to, text) => {
+    this.ircClient.on('action', (author, to, text, raw) => {
       const formattedText = `_${text}_`;
-      this.sendToSlack(author, to, formattedText);
+      this.sendToSlack(author, to, formattedText, raw);
     });
 
     this.ircClient.on('invite', (channel, from) => {
@@ -321,9 +527,8 @@ class Bot {
     this.ircClient.on('kick', (chan, nick, by, reason) => {
       const reply = `${by} kicked ${nick} from IRC. (${reason})`;
       logger.debug(reply);
-      this.slack.web.users.info({ user: this.slack.rtm.activeUserId })
-        .then(resp => {
-          const botUser = resp.user;
+      this.userCache.get(this.slack.transport.activeUserId)
+        .then(botUser => {
           for (const key of _.keys(this.ircClients)) {
             if (this.ircClients[key].nick === nick) {
               this.sendToSlack(userName(botUser), chan, reply);
@@ -376,97 +581,284 @@ class Bot {
     }
   }
 
-  sendImageMessage(message, user) {
-    const file = message.file || message.files[0];
-    request.get({
-      url: file.url_private_download,
-      headers: { Authorization: `Bearer ${this.token}` },
-      encoding: null
-    }, (err, res, body) => {
-      const final = message;
-      if (err != null) {
-        logger.debug(body);
-      } else {
-        const base64 = new Buffer(body, 'binary').toString('base64');
-        request.post({
-          url: 'https://api.imgur.com/3/image.json',
-          form: { image: base64, type: 'base64' },
-          headers: { authorization: `Client-ID ${this.clientId}` }
-        }, (err2, res2, body2) => {
-          if (err2 != null) {
-            logger.debug(body2);
-          } else {
-            const json = JSON.parse(body2);
-            final.text = `${message.text} (Attached image: ${json.data.link})`;
-          }
-          this.queueMessage(user, final);
-        });
+  topicOptions(slackChannelName) {
+    return {
+      topicSync: this.channelOption(slackChannelName, 'topicSync'),
+      slackTopicFormat: this.channelOption(slackChannelName, 'slackTopicFormat'),
+      ircTopicFormat: this.channelOption(slackChannelName, 'ircTopicFormat')
+    };
+  }
+
+  // Mirrors an IRC topic to the mapped Slack channel, if its `topicSync` setting allows
+  relayIRCTopic(ircChannel, topic, nick) {
+    const slackChannelName = this.invertedMapping[ircChannel.toLowerCase()];
+    if (!slackChannelName || nick === this.ircClient.nick) return;
+    const slackTopic = this.topicMirror.toSlack(ircChannel, stripIRCFormatting(topic),
+      this.topicOptions(slackChannelName));
+    if (slackTopic == null) return;
+
+    this.getSlackChannelByName(slackChannelName.replace(/^#/, '')).then(slackChannel => {
+      // IRC repeats the topic whenever the bot joins
+      if (!slackChannel || (slackChannel.topic && slackChannel.topic.value === slackTopic)) return undefined;
+      logger.debug(`Setting the topic of ${slackChannelName} from IRC: ${slackTopic}`);
+      return this.slackDispatcher.call('conversations.setTopic', { channel: slackChannel.id, topic: slackTopic });
+    }).catch(error => { logger.debug(`Error ${error} setting the Slack topic in relayIRCTopic`); });
+  }
+
+  // Mirrors a Slack topic to the mapped IRC channel, if its `topicSync` setting allows
+  // and the bot has ops there
+  relaySlackTopic(message) {
+    if (message.user === this.slack.transport.activeUserId) return;
+    this.getIRCChannel(message.channel).then(ircChannel => {
+      if (ircChannel == null) return undefined;
+      if (!this.hasOps(ircChannel)) {
+        logger.debug(`Not mirroring the Slack topic to ${ircChannel}, the bot has no ops there`);
+        return undefined;
       }
-    });
+      return this.parseText(message.topic || '').then(text => {
+        const topic = this.topicMirror.toIRC(ircChannel, text, this.topicOptions(this.invertedMapping[ircChannel]));
+        if (topic == null) return;
+        logger.debug(`Setting the topic of ${ircChannel} from Slack: ${topic}`);
+        this.ircClient.send('TOPIC', ircChannel, topic);
+      });
+    }).catch(error => { logger.debug(`Error ${error} setting the IRC topic in relaySlackTopic`); });
   }
 
-  sendSnippetMessage(message, user) {
-    const entities = new AllHtmlEntities();
-    request.get({
-      url: message.file.url_private,
-      headers: { Authorization: `Bearer ${this.token}` }
-    }, (err, res, body) => {
-      if (err != null) {
-        logger.debug(body);
-      } else {
-        this.createGist({
-          filename: message.file.name,
-          content: entities.decode(body)
-        }, (err2, resp2) => {
-          const final = message;
-          if (err2 != null) {
-            logger.debug(resp2);
-          } else {
-            final.text = `Added a ${final.file.pretty_type} snippet: ${resp2.html_url}`;
-            if (final.file.comments_count > 0) {
-              final.text += ` with comment: "${final.file.initial_comment.comment}"`;
-            }
-          }
-          this.queueMessage(user, final);
+  // Collects a Slack reaction to a relayed message, the digest sums them up on IRC
+  relaySlackReaction(event, added) {
+    if (!this.relayReactions || event.item.type !== 'message') return;
+    if (event.user === this.slack.transport.activeUserId) return;
+    const { ts } = event.item;
+    const relayed = this.relayedMessages.get(ts) || this.postedMessages.get(ts);
+    if (relayed == null) return;
+    Promise.all([this.userCache.get(event.user), this.emojiCache.get()]).then(([user, custom]) => {
+      const emoji = emojiToIRC(event.reaction, custom, this.customEmoji);
+      if (this.isMutedSlackUser(user) || emoji === '') return;
+      this.reactionDigest.add(ts, relayed, userName(user), emoji, added);
+    }).catch(error => { logger.debug(`Error ${error} getting users info in relaySlackReaction`); });
+  }
+
+  sendReactionSummary(relayed, { added, removed }) {
+    const excerpt = _.truncate(relayed.text.replace(/\s+/g, ' '), { length: 30 });
+    if (added != null) this.ircClient.notice(relayed.ircChannel, `* ${added} to "${excerpt}"`);
+    if (removed != null) this.ircClient.notice(relayed.ircChannel, `* ${removed} from "${excerpt}"`);
+  }
+
+  // Puts `+draft/react` reactions from IRC on the Slack message they reply to. The bot reacts
+  // once per emoji, and takes its reaction back when the last IRC user removed theirs.
+  relayIRCReaction(target, tags, message) {
+    if (!this.relayReactions || message.nick === this.ircClient.nick) return;
+    const removed = tags['+draft/unreact'] != null;
+    const name = slackEmojiName((removed ? tags['+draft/unreact'] : tags['+draft/react']) || '');
+    const posted = this.ircMessageIds.get(tags['+draft/reply'] || tags['+reply']);
+    if (name == null || posted == null || this.isMutedIRCUser(message.nick, message)) return;
+
+    const key = `${posted.ts}:${name}`;
+    const before = this.ircReactions.get(key) || [];
+    const nick = message.nick.toLowerCase();
+    const after = removed ? _.without(before, nick) : _.union(before, [nick]);
+    this.ircReactions.add(key, after);
+    if ((before.length === 0) === (after.length === 0)) return;
+
+    const method = after.length > 0 ? 'reactions.add' : 'reactions.remove';
+    logger.debug(`Relaying IRC reaction ${name} from ${message.nick} in ${target}`);
+    this.slackDispatcher.call(method, { channel: posted.slackChannel, timestamp: posted.ts, name })
+      .then(_resp => { /* success */ })
+      .catch(error => { logger.debug(`Error ${error} calling ${method} in relayIRCReaction`); });
+  }
+
+  hasOps(ircChannel) {
+    const channel = this.ircClient.chanData(ircChannel);
+    const modes = channel && channel.users ? channel.users[this.ircClient.nick] || '' : '';
+    return /[~&@]/.test(modes);
+  }
+
+  // Relays an edit of an already relayed message as a correction line, depending on `messageEdits`
+  relayEdit(message, user) {
+    const edited = message.message;
+    const previous = message.previous_message || {};
+    // Link unfurls and attachment updates also arrive as edits, without any change to the text
+    if (edited.text === previous.text) return;
+
+    if (this.messageEdits === 'notice') {
+      const text = 'Notice: Message edits are not relayed to IRC.';
+      this.slackDispatcher.call('chat.postEphemeral', {
+        channel: message.channel,
+        text,
+        user: edited.user,
+        as_user: true
+      }, { priority: 'interactive' }).then(_resp => { /* success */ })
+        .catch(error => {
+          logger.debug(`Error ${error} posting Ephemeral for message_changed`);
         });
-      }
+      return;
+    }
+
+    // Messages still waiting for the IRC client are simply sent with the new text
+    const queued = this.findQueuedMessage(user, edited.ts);
+    if (queued != null) {
+      queued.text = edited.text;
+      return;
+    }
+
+    const relayed = this.relayedMessages.get(edited.ts);
+    if (relayed == null) {
+      logger.debug(`Ignoring edit of a message that wasn't relayed: ${edited.ts}`);
+      return;
+    }
+
+    this.parseText(edited.text).then(text => {
+      if (text === relayed.text) return;
+      const diff = this.messageEdits === 'diff' ? describeEdit(relayed.text, text) : null;
+      const correction = diff || `* correction: ${text}`;
+      relayed.text = text;
+      this.enqueue(user, relayed.ircChannel, { text: correction, parsed: true });
+      this.sendMessagesToIRC(user);
+    }).catch(error => { logger.debug(`Error ${error} parsing text in relayEdit`); });
+  }
+
+  findQueuedMessage(user, ts) {
+    const messageQueue = this.messageQueues[user.id] || {};
+    for (const channel of _.keys(messageQueue)) {
+      const queued = _.find(messageQueue[channel], { ts });
+      if (queued != null) return queued;
+    }
+    return undefined;
+  }
+
+  // Drops a deleted message that hasn't been sent yet, or sends a retraction notice for one that has
+  relayDeletion(message, user) {
+    const ts = message.deleted_ts;
+    const messageQueue = this.messageQueues[user.id] || {};
+    const queued = this.findQueuedMessage(user, ts);
+    if (queued != null) {
+      logger.debug(`Removing deleted message ${ts} from the queue`);
+      _.forOwn(messageQueue, messages => _.pull(messages, queued));
+      this.persistQueue(user.id);
+      return;
+    }
+    if (this.sendingMessages[ts] != null) {
+      logger.debug(`Not sending deleted message ${ts}`);
+      this.sendingMessages[ts].deleted = true;
+      return;
+    }
+
+    const relayed = this.relayedMessages.remove(ts);
+    if (relayed == null || !this.relayDeletions) return;
+    const excerpt = _.truncate(relayed.text.replace(/\s+/g, ' '), { length: 50 });
+    const notice = { text: `message retracted: "${excerpt}"`, parsed: true, notice: true };
+    // A shadow client that's gone isn't connected again just for the notice
+    if (this.shadowClients && this.ircClients[user.id] == null) {
+      this.sendThroughBot(user, relayed.ircChannel, notice);
+      return;
+    }
+    this.enqueue(user, relayed.ircChannel, notice);
+    this.sendMessagesToIRC(user);
+  }
+
+  // Relays a message with code blocks. Blocks of up to `inlineCodeLines` lines are sent to IRC
+  // without their fences, longer ones are pasted and replaced by a link.
+  sendCodeMessage(message, user, blocks) {
+    const replacements = blocks.map(block => {
+      if (block.code.split('\n').length <= this.inlineCodeLines) return Promise.resolve(block.code);
+      return this.createPaste({ content: block.code, language: block.language }, message)
+        .catch(error => {
+          logger.debug(`Error ${error} creating a paste for a code block`);
+          return block.match;
+        });
+    });
+    Promise.all(replacements).then(texts => {
+      const final = message;
+      final.text = blocks.reduce((text, block, index) => text.replace(block.match, () => texts[index]), message.text);
+      this.queueMessage(user, final);
+    });
+  }
+
+  // Relays a message with files shared on Slack. Snippets become pastes and other files go to
+  // the uploader, each adding a note with its link to the message.
+  sendFileMessage(message, user) {
+    Promise.all(message.files.map(file => this.relayFile(file, message))).then(notes => {
+      const final = message;
+      final.text = _.compact([message.text, ...notes]).join(' ');
+      this.queueMessage(user, final);
+    });
+  }
+
+  relayFile(file, message) {
+    let relayed;
+    if (file.mode === 'snippet') {
+      relayed = this.downloadFile(file, 'utf8')
+        .then(content => this.createPaste({ filename: file.name, content }, message))
+        .then(url => `(Added a ${file.pretty_type} snippet: ${url})`);
+    } else if (this.uploader == null || !this.uploader.accepts(file)) {
+      logger.debug(`Not uploading ${file.name} (${file.mimetype}, ${file.size} bytes)`);
+      relayed = Promise.reject(new Error('no uploader takes the file'));
+    } else {
+      relayed = this.downloadFile(file)
+        .then(data => this.uploader.upload(file, data))
+        .then(url => `(Attached ${/^image\//.test(file.mimetype) ? 'image' : 'file'}: ${url})`);
+    }
+    return relayed.catch(error => {
+      logger.debug(`Error ${error} relaying ${file.name} in relayFile`);
+      return `(Attached file not relayed: ${file.name})`;
+    });
+  }
+
+  // Downloads a Slack file, as a Buffer or as a string in the given encoding
+  downloadFile(file, encoding = null) {
+    return new Promise((resolve, reject) => {
+      request.get({
+        url: file.url_private_download || file.url_private,
+        headers: { Authorization: `Bearer ${this.token}` },
+        encoding
+      }, (error, res, body) => {
+        if (error != null) return reject(error);
+        if (res.statusCode !== 200) return reject(new Error(`Slack returned ${res.statusCode}`));
+        return resolve(body);
+      });
     });
   }
 
   parseText(text) {
     const str = text
-      .replace(/\n|\r\n|\r/g, ' ')
+      .replace(/\r\n|\r/g, '\n')
       .replace(/<!channel>/g, '@channel')
       .replace(/<!group>/g, '@group')
       .replace(/<!everyone>/g, '@everyone')
       .replace(/<#C\w+\|?(\w+)?>/g, (match, readable) => `#${readable}`);
-    return asyncReplace(this.slack.web.users.info, str, /<@(U\w+)\|?(\w+)?>/g)
-      .then(str2 =>
-        str2.replace(/<(?!!)([^|]+)>/g, (match, link) => link)
-          .replace(/<!(\w+)\|?(\w+)?>/g, (match, command, label) =>
-            `<${label || command}>`
-          )
-          .replace(/:(\w+):/g, (match, emoji) => {
-            if (emoji in emojis) {
-              return emojis[emoji];
-            }
-
-            return match;
-          })
+    const mentions = asyncReplace(id => this.userCache.get(id), str, /<@([UW]\w+)\|?(\w+)?>/g);
+    return Promise.all([mentions, this.emojiCache.get()])
+      .then(([str2, custom]) => {
+        const unlinked = str2.replace(/<(?!!)([^|]+)>/g, (match, link) => link)
+          .replace(/<!(\w+)\|?(\w+)?>/g, (match, command, label) => `<${label || command}>`);
+        return shortcodesToIRC(unlinked, custom, this.customEmoji)
           .replace(SLACK_REGEX, (match, slackName) => {
-            const ircNick = this.ircNick(slackName);
-            if (this.currentShadowNicks().indexOf(ircNick) > -1) {
-              return ircNick;
-            }
-            return match;
+            // Mentions of Slack users with a shadow client become their nick, which may be numbered
+            const client = _.find(this.ircClients, c => c.slackName === slackName);
+            return client && client.nick ? client.nick : match;
           })
-          .replace(/<.+\|(.+)>/g, (match, readable) => readable))
+          .replace(/<.+\|(.+)>/g, (match, readable) => readable);
+      })
+      .then(str3 => (this.formatting === 'strip' ? stripSlackFormatting(str3) : slackToIRC(str3)))
       .catch(error => { logger.debug(`Error ${error} in asyncReplace`); });
   }
 
   ircNick(slackName) {
-    return slackName.replace(/\./g, '-').substr(0, SERVER_NICKLEN - this.nickSuffix.length)
-      + this.nickSuffix;
+    return this.shadowNicks.candidate(slackName);
+  }
+
+  // The nick for a user's shadow client, based on the nick they chose with `.nick` if any
+  shadowNick(user) {
+    return this.shadowNicks.nickFor(user.id, userName(user), this.userSettings.get(user.id).nick);
+  }
+
+  changeNick(user, nick) {
+    const client = this.ircClients[user.id];
+    if (client == null || client.nick === nick) return;
+    client.send('NICK', nick);
+    // irc-upd registers with `opt.nick` when it reconnects
+    const { opt } = client;
+    opt.nick = nick;
   }
 
   isBot(userId) {
@@ -475,15 +867,75 @@ class Bot {
       .catch(error => { logger.debug(`Error ${error} getting users info in user_typing event`); });
   }
 
+  isMutedIRCUser(nick, raw) {
+    return isMutedIRCUser(this.muteUsers.irc, nick, raw, ircAccount(this.ircClient, nick, raw));
+  }
+
+  isMutedSlackUser(user) {
+    return matchesAny(this.muteUsers.slack, [user.id, user.name, userName(user)]);
+  }
+
+  isAdmin(user) {
+    return matchesAny(this.admins, [user.id, user.name, userName(user)]);
+  }
+
+  // Replies to commands and DMs from the bot, ahead of relayed messages
+  sendReply(text, channel) {
+    return this.slackDispatcher.post({ channel, text, as_user: true }, { priority: 'interactive' })
+      .then(_resp => { /* success */ })
+      .catch(error => { logger.debug(`Error ${error} sending reply to ${channel}`); });
+  }
+
   isCommandMessage(message) {
     return this.commandCharacters.indexOf(message[0]) !== -1;
   }
 
+  // Returns a per-channel override from the channel mapping, falling back to the bot-wide option
+  channelOption(slackChannelName, option) {
+    const overrides = this.channelOptions[slackChannelName] || {};
+    return overrides[option] == null ? this[option] : overrides[option];
+  }
+
+  slackUsername(author, ircChannel, raw) {
+    const slackChannelName = this.invertedMapping[ircChannel.toLowerCase()];
+    return renderTemplate(this.channelOption(slackChannelName, 'slackUsernameFormat'), {
+      username: author,
+      nick: author,
+      account: ircAccount(this.ircClient, author, raw) || author,
+      channel: ircChannel,
+      network: this.network
+    });
+  }
+
+  ircUsername(user, ircChannel) {
+    const name = userName(user);
+    const slackChannelName = this.invertedMapping[ircChannel.toLowerCase()];
+    return renderTemplate(this.channelOption(slackChannelName, 'ircUsernameFormat'), {
+      username: name,
+      nick: this.shadowNick(user),
+      channel: slackChannelName || ircChannel,
+      network: this.network
+    });
+  }
+
   connectNewClient(user) {
+    if (!this.shadowClients) return;
     if (!(user.id in this.ircClients)) {
       const userOptions = Object.assign({}, this.ircOptions);
       let name = userName(user);
       userOptions.userName = name.replace(/[^0-9a-z]/gi, '');
+      if (this.webirc) {
+        // Lets IRC operators tell Slack users apart, and ban them one by one
+        userOptions.webirc = {
+          pass: this.webirc.password,
+          ip: this.webirc.ip,
+          host: webircHost(this.webirc.hostTemplate || '$userid.slack', user.id, name)
+        };
+      }
+      if (this.clientFailures[user.id] != null) {
+        logger.debug(`Not connecting ${name} to IRC: ${this.clientFailures[user.id]}`);
+        return;
+      }
       if (this.ircClients[user.id] == null) {
         logger.debug(`Connecting a new IRC client for Slack user ${name}.`);
         this.newClient(user, userOptions);
@@ -493,7 +945,11 @@ class Bot {
 
   newClient(user, options) {
     const name = userName(user);
-    const client = new irc.Client(this.server, this.ircNick(name), options);
+    const auth = this.shadowAuth(user);
+    const client = new irc.Client(this.server, this.shadowNick(user),
+      auth.secure ? { ...options, secure: auth.secure } : options);
+    const caps = this.ircv3 && this.ircv3.shadowClients ? IRCV3_CAPS : [];
+    if (auth.sasl || caps.length > 0) negotiateCaps(client, { caps, sasl: auth.sasl });
     this.attachUserListeners(user, client);
     this.ircClients[user.id] = client;
     this.updateSlackPresenceSubs();
@@ -511,6 +967,42 @@ class Bot {
     });
   }
 
+  // The IRC userName of our connection between the given ports, for the ident server
+  identUser(localPort, remotePort) {
+    const clients = [this.ircClient, ..._.values(this.ircClients)];
+    const client = _.find(clients, c => c.conn != null
+      && c.conn.localPort === localPort && c.conn.remotePort === remotePort);
+    return client && client.opt.userName;
+  }
+
+  // SASL for a shadow client: EXTERNAL with the user's `<user ID>.crt` and `.key` from
+  // `shadowClientCertificates`, or PLAIN with their `.identify` credentials if `shadowSasl` is on
+  shadowAuth(user) {
+    const certificate = this.shadowCertificates
+      && path.join(this.shadowCertificates, `${user.id}.crt`);
+    if (certificate && fs.existsSync(certificate)) {
+      try {
+        const key = path.join(this.shadowCertificates, `${user.id}.key`);
+        return {
+          secure: withClientCertificate(this.ircOptions.secure, { cert: certificate, key }),
+          sasl: { mechanism: 'EXTERNAL' }
+        };
+      } catch (error) {
+        logger.error(`Could not read the client certificate for ${userName(user)}`, error);
+      }
+    }
+
+    const { nickserv } = this.userSettings.get(user.id);
+    if (!this.shadowSasl || nickserv == null) return {};
+    return {
+      sasl: {
+        mechanism: 'PLAIN',
+        account: nickserv.account || this.shadowNick(user),
+        password: nickserv.password
+      }
+    };
+  }
+
   deleteClient(user, message) {
     const client = this.ircClients[user.id];
     const name = userName(user);
@@ -526,6 +1018,14 @@ class Bot {
     }
   }
 
+  // Stops connecting a user's shadow client, and sends what it didn't through the bot instead
+  giveUpClient(user, reason) {
+    this.clientFailures[user.id] = reason;
+    this.deleteClient(user, `Giving up: ${reason}.`);
+    this.requeueUnconfirmed(user.id);
+    this.sendMessagesToIRC(user);
+  }
+
   attachUserListeners(user, client) {
     client.on('error', error => {
       logger.error(`${userName(user)}: Received error event from IRC`, error);
@@ -533,18 +1033,60 @@ class Bot {
       if (error.rawCommand === '432') {
         // Open IM in case there isn't already an ongoing DM between the bot and the user
         this.slack.web.im.open({ user: user.id }).then(resp => {
-          const reply = 'Your username is invalid for IRC and your ' +
-            'messages will not be relayed until it is updated.';
-          this.slack.rtm.sendMessage(reply, resp.channel.id)
-            .then(_resp => { /* success */ })
-            .catch(err => { logger.debug(`Error ${err} sending RTM message in attachUserListeners`); });
+          const reply = 'Your username is invalid for IRC, so the bridge bot relays your ' +
+            'messages until you choose another nick with `.nick`.';
+          this.sendReply(reply, resp.channel.id);
         })
           .then(_resp => { /* success */ })
           .catch(webError => { logger.debug(`Error ${webError} opening IM in IRC client error`); });
-        this.deleteClient(user, 'I experienced an error.');
+        this.giveUpClient(user, 'invalid nick');
       }
     });
 
+    // irc-upd answers a 433 by retrying with `opt.nick + opt.nickMod` after incrementing nickMod.
+    // Running first, this points that retry at the user's next numbered nick, which fits
+    // within SERVER_NICKLEN and is kept for later reconnects.
+    client.prependListener('raw', message => {
+      if (message.command !== 'err_nicknameinuse') return;
+      const name = userName(user);
+      const index = this.shadowNicks.collided(user.id, name, this.userSettings.get(user.id).nick);
+      if (index >= MAX_NICK_COLLISIONS) {
+        logger.error(`${name}: No free IRC nick found after ${index} attempts`);
+        this.giveUpClient(user, 'no free nick');
+        return;
+      }
+      const nick = this.shadowNicks.nickOf(user.id);
+      const number = String(index + 1);
+      logger.info(`${name}: IRC nick ${message.args[1]} is in use, switching to ${nick}`);
+      const { opt } = client;
+      opt.nick = nick.slice(0, -number.length);
+      opt.nickMod = index;
+    });
+
+    client.on('registered', () => {
+      // Reconnects should register with the nick we ended up with, not retry the taken one
+      const { opt } = client;
+      opt.nick = client.nick;
+      delete opt.nickMod;
+      // Clients that logged in with SASL are identified already
+      if (!(client.caps && client.caps.authenticated)) this.identifyWithNickServ(user, client);
+      // Messages lost with the last connection are sent again once the channels are rejoined
+      this.requeueUnconfirmed(user.id);
+    });
+
+    client.on('echo', (target, text, message) => this.confirmEcho(user.id, target, message));
+
+    // Failed logins aren't retried until the user changes their credentials or resets the client
+    client.on('saslFailed', (reason) => {
+      logger.error(`${userName(user)}: IRC client could not log in with SASL: ${reason}`);
+      this.slack.web.im.open({ user: user.id }).then(resp => {
+        const reply = `Your IRC client could not log in (${reason}), so the bridge bot relays your ` +
+          'messages. Update your credentials with `.identify`, or use `.reset` to try again.';
+        this.sendReply(reply, resp.channel.id);
+      }).catch(error => { logger.debug(`Error ${error} opening IM in IRC client saslFailed`); });
+      this.giveUpClient(user, `SASL failed: ${reason}`);
+    });
+
     client.on('abort', () => {
       logger.error(`${userName(user)}: Maximum IRC retry count reached, exiting.`);
       this.deleteClient(user, 'IRC client aborted.');
@@ -560,10 +1102,10 @@ class Bot {
       if (client.userId) {
         this.slack.web.im.open({ user: client.userId })
           .then(resp => {
-            this.slack.web.chat.postMessage({
+            this.slackDispatcher.post({
               channel: resp.channel.id,
               text,
-              username: author })
+              username: author }, { priority: 'interactive' })
               .then(_resp => { /* success */ })
               .catch(error => { logger.debug(`Error ${error} posting message in IRC client message`); });
           })
@@ -574,23 +1116,25 @@ class Bot {
     });
   }
 
+  // Sends the NickServ credentials the user stored with `.identify`
+  identifyWithNickServ(user, client) {
+    const { nickserv } = this.userSettings.get(user.id);
+    if (nickserv == null) return;
+    logger.debug(`${userName(user)}: Identifying with NickServ`);
+    const credentials = nickserv.account ? `${nickserv.account} ${nickserv.password}` : nickserv.password;
+    client.say('NickServ', `IDENTIFY ${credentials}`);
+  }
+
   // Queue messsage for users prior to sending. This prevents the loss of messges while the IRC
   // client is still starting up for the user.
   queueMessage(user, message) {
     const name = userName(user);
-    this.slack.web.conversations.info({ channel: message.channel }).then(resp => {
-      const { channel } = resp;
-      if (message.thread_ts != null) {
-        logger.debug(`Ignoring thread message: ${JSON.stringify(message)}`);
-        return;
-      }
+    this.channelDirectory.byId(message.channel).then(channel => {
       if (!channel) {
         logger.info(`Received message from a channel the user ${name} isn't in:`,
           message.channel);
         return;
       }
-      this.messageQueues[user.id] = this.messageQueues[user.id] || {};
-      const messageQueue = this.messageQueues[user.id];
       if (this.isCommandMessage(message.text)) {
         this.processCommandMessage(message);
         return;
@@ -598,20 +1142,191 @@ class Bot {
       let chanName = channelName(channel);
       chanName = channel.is_channel ? `#${chanName}` : chanName;
       const ircChannel = this.channelMapping[chanName];
-      logger.debug(`Message queued -- ${chanName}: ${ircChannel}: ${message.text}`);
-      if (ircChannel) {
-        messageQueue[ircChannel] = messageQueue[ircChannel] || [];
-        messageQueue[ircChannel].push(message);
+      const isReply = message.thread_ts != null && message.thread_ts !== message.ts;
+      if (!isReply) {
+        logger.debug(`Message queued -- ${chanName}: ${ircChannel}: ${message.text}`);
+        if (ircChannel) {
+          delete this.lastThreads[user.id];
+          this.enqueue(user, ircChannel, message);
+        }
+        this.sendMessagesToIRC(user);
+        return;
       }
 
-      this.sendMessagesToIRC(user);
+      const mode = this.channelOption(chanName, 'threads');
+      if (!ircChannel || mode === 'off' || (mode === 'parent-only' && message.subtype !== 'thread_broadcast')) {
+        logger.debug(`Ignoring thread message: ${JSON.stringify(message)}`);
+        return;
+      }
+      if (mode === 'inline') {
+        this.lastThreads[user.id] = { slackChannel: message.channel, ts: message.thread_ts, at: Date.now() };
+      }
+      this.threadPrefix(message).then(prefix => {
+        logger.debug(`Thread message queued -- ${chanName}: ${ircChannel}: ${message.text}`);
+        const final = message;
+        final.prefix = prefix;
+        this.enqueue(user, ircChannel, final);
+        this.sendMessagesToIRC(user);
+      });
     }).catch(error => { logger.debug(`Error ${error} getting channel info in queueMessage`); });
   }
 
+  // Adds a message to a user's queue for an IRC channel (or nick), stamped so it can expire
+  enqueue(user, ircChannel, message) {
+    const final = message;
+    final.queuedAt = final.queuedAt || Date.now();
+    this.messageQueues[user.id] = this.messageQueues[user.id] || {};
+    const messageQueue = this.messageQueues[user.id];
+    messageQueue[ircChannel] = messageQueue[ircChannel] || [];
+    messageQueue[ircChannel].push(final);
+    this.persistQueue(user.id);
+  }
+
+  persistQueue(userId) {
+    if (this.queueStore == null) return;
+    // Waits for the restored queues, so a save can't replace them with only the newer messages
+    this.queuesRestored.then(() => {
+      // Sent messages the server hasn't echoed yet are kept, ahead of the ones still queued
+      const queue = {};
+      (this.unconfirmedMessages[userId] || []).forEach(({ channel, message }) => {
+        queue[channel] = [...(queue[channel] || []), message];
+      });
+      _.forOwn(this.messageQueues[userId], (messages, channel) => {
+        queue[channel] = [...(queue[channel] || []), ...messages];
+      });
+      return this.queueStore.save(userId, queue);
+    })
+      .catch(error => { logger.error('Could not persist the message queue', error); });
+  }
+
+  // With echo-message a sent message only counts as delivered once the server has echoed
+  // every line of it back. Until then it stays in the persisted queue.
+  awaitEcho(userId, channel, message) {
+    const sent = {
+      channel, message, lines: null, echoes: 0
+    };
+    this.unconfirmedMessages[userId] = this.unconfirmedMessages[userId] || [];
+    this.unconfirmedMessages[userId].push(sent);
+    return sent;
+  }
+
+  confirmEcho(userId, target, echo) {
+    const unconfirmed = this.unconfirmedMessages[userId] || [];
+    const sent = _.find(unconfirmed, entry => entry.channel.toLowerCase() === target.toLowerCase());
+    if (sent == null) return;
+    // The echo carries the message ID IRC users react to
+    const msgid = echo && echo.tags && echo.tags.msgid;
+    if (msgid && sent.message.ts) {
+      this.ircMessageIds.add(msgid, { slackChannel: sent.message.channel, ts: sent.message.ts });
+    }
+    sent.echoes += 1;
+    if (sent.lines == null || sent.echoes < sent.lines) return;
+    _.pull(unconfirmed, sent);
+    this.persistQueue(userId);
+  }
+
+  // Puts the messages that were never echoed back at the front of the queue again
+  requeueUnconfirmed(userId) {
+    const unconfirmed = this.unconfirmedMessages[userId] || [];
+    if (unconfirmed.length === 0) return;
+    logger.debug(`Sending ${unconfirmed.length} unconfirmed messages again after reconnecting`);
+    delete this.unconfirmedMessages[userId];
+    this.messageQueues[userId] = this.messageQueues[userId] || {};
+    const messageQueue = this.messageQueues[userId];
+    _.forEachRight(unconfirmed, ({ channel, message }) => {
+      messageQueue[channel] = [message, ...(messageQueue[channel] || [])];
+    });
+  }
+
+  // Puts the queues persisted before a restart back, ahead of anything queued since startup.
+  // Runs in connect(), before any events are handled.
+  restoreMessageQueues() {
+    if (this.queueStore == null) return Promise.resolve();
+    return this.queueStore.load()
+      .then(queues => {
+        _.forOwn(queues, (queue, userId) => {
+          this.messageQueues[userId] = _.mergeWith(queue, this.messageQueues[userId],
+            (restored, current) => (_.isArray(restored) ? restored.concat(current || []) : undefined));
+        });
+      })
+      .catch(error => { logger.error('Could not load the persisted message queues', error); });
+  }
+
+  // Sends whatever is still undelivered for every user, once the persisted queues are back
+  replayMessageQueues() {
+    return this.queuesRestored
+      .then(() => {
+        const pending = _.keys(this.messageQueues)
+          .filter(userId => _.some(this.messageQueues[userId], messages => messages.length > 0));
+        return Promise.all(pending.map(userId => this.userCache.get(userId).then(user => {
+          logger.debug(`Replaying queued messages for ${userName(user)}`);
+          this.sendMessagesToIRC(user);
+        })));
+      })
+      .catch(error => { logger.debug(`Error ${error} replaying message queues`); });
+  }
+
+  // Drops messages that waited longer than `messageQueue.maxAge` and lets their author know
+  dropStaleMessages(user) {
+    const messageQueue = this.messageQueues[user.id] || {};
+    const oldest = Date.now() - (this.queueMaxAge * 1000);
+    const dropped = _.flatMap(_.keys(messageQueue), channel => (
+      _.remove(messageQueue[channel], message => message.queuedAt < oldest)
+        .map(message => ({ channel, message }))
+    ));
+    if (dropped.length === 0) return;
+    logger.info(`Dropping ${dropped.length} stale queued messages for ${userName(user)}`);
+    this.persistQueue(user.id);
+
+    // Corrections and notices are made by the bridge, only tell the author about their own messages
+    const lines = dropped.filter(({ message }) => !message.parsed).map(({ channel, message }) => {
+      const excerpt = _.truncate(message.text.replace(/\s+/g, ' '), { length: 50 });
+      return `• ${this.invertedMapping[channel] || channel}: "${excerpt}"`;
+    });
+    if (lines.length === 0) return;
+    this.slack.web.im.open({ user: user.id }).then(resp => {
+      const reply = `These messages could not be delivered to IRC in time and were dropped:\n${lines.join('\n')}`;
+      this.sendReply(reply, resp.channel.id);
+    }).catch(error => { logger.debug(`Error ${error} opening IM in dropStaleMessages`); });
+  }
+
+  // Quotes the start of the parent message, from what was relayed if possible
+  threadPrefix(message) {
+    const relayed = this.relayedMessages.get(message.thread_ts);
+    const parentText = relayed != null ? Promise.resolve(relayed.text)
+      : this.slack.web.conversations.replies({ channel: message.channel, ts: message.thread_ts, limit: 1 })
+        .then(resp => this.parseText(resp.messages[0].text));
+    return parentText
+      .then(text => `[re: "${_.truncate(text.replace(/\s+/g, ' '), { length: 40 })}"] `)
+      .catch(error => {
+        logger.debug(`Error ${error} getting thread parent in threadPrefix`);
+        return '[thread] ';
+      });
+  }
+
+  // Finds the thread an IRC message should go to, if it addresses a Slack user who last posted in one
+  threadFor(text, slackChannel) {
+    const addressed = text.match(/^([^\s:,]+)[:,]\s/);
+    if (addressed == null) return undefined;
+    const client = _.find(this.ircClients, c => c.nick && c.nick.toLowerCase() === addressed[1].toLowerCase());
+    const thread = client && this.lastThreads[client.userId];
+    if (thread == null || thread.slackChannel !== slackChannel.id) return undefined;
+    if (Date.now() - thread.at > THREAD_REPLY_WINDOW) return undefined;
+    return thread.ts;
+  }
+
   sendMessagesToIRC(user) {
-    const client = this.ircClients[user.id];
     const messageQueue = this.messageQueues[user.id];
     if (messageQueue == null) return;
+    this.dropStaleMessages(user);
+    const pending = _.some(messageQueue, messages => messages.length > 0);
+    if (!this.shadowClients || this.clientFailures[user.id] != null) {
+      this.sendMessagesThroughBot(user);
+      if (pending) this.persistQueue(user.id);
+      return;
+    }
+
+    const client = this.ircClients[user.id];
     if (client == null) {
       this.connectNewClient(user);
       return;
@@ -619,42 +1334,155 @@ class Bot {
     if (!client.connected) return;
 
     const name = userName(user);
+    const echoes = hasCap(client, 'echo-message');
     this.restartAwayTimer(user, `Slack user ${name} went away`);
     for (const channel of _.keys(messageQueue)) {
       const messages = messageQueue[channel];
       while (messages.length > 0) {
         const message = messages.shift();
-        this.parseText(message.text).then(text => {
+        const sent = echoes ? this.awaitEcho(user.id, channel, message) : null;
+        this.startSending(message);
+        this.queuedText(message).then(text => {
           let final = text;
-          if (!message.subtype || message.subtype === 'file_share') {
-            logger.debug(`${name}: Sending message to IRC`, channel, text);
-            if (text.startsWith('/giphy') && message.attachments) {
-              for (const attachment of message.attachments) {
-                if (attachment.image_url) {
-                  final = `${text}: ${attachment.image_url}`;
-                }
+          if (text.startsWith('/giphy') && message.attachments) {
+            for (const attachment of message.attachments) {
+              if (attachment.image_url) {
+                final = `${text}: ${attachment.image_url}`;
               }
             }
-            client.say(channel, final);
-          } else if (message.subtype === 'me_message') {
-            logger.debug(`${name}: Sending action to IRC`, channel, text);
-            client.action(channel, text);
           }
-        }).catch(error => { logger.debug(`Error ${error} parsing text in sendMessagesToIRC`); });
+          return this.ircLines(message, final, client.nick, channel).then(lines => {
+            if (!this.finishSending(message)) {
+              if (sent != null) {
+                _.pull(this.unconfirmedMessages[user.id], sent);
+                this.persistQueue(user.id);
+              }
+              return;
+            }
+            if (sent != null) {
+              sent.lines = lines.length;
+              if (lines.length === 0) _.pull(this.unconfirmedMessages[user.id], sent);
+            }
+            if (message.notice) {
+              logger.debug(`${name}: Sending notice to IRC`, channel, final);
+              lines.forEach(line => client.notice(channel, line));
+            } else if (message.subtype === 'me_message') {
+              logger.debug(`${name}: Sending action to IRC`, channel, final);
+              lines.forEach(line => client.action(channel, line));
+            } else {
+              logger.debug(`${name}: Sending message to IRC`, channel, final);
+              lines.forEach(line => client.say(channel, line));
+            }
+            this.recordRelayed(user, channel, message, final);
+          });
+        }).catch(error => {
+          this.finishSending(message);
+          if (sent != null) _.pull(this.unconfirmedMessages[user.id], sent);
+          logger.debug(`Error ${error} parsing text in sendMessagesToIRC`);
+        });
+      }
+    }
+    if (pending) this.persistQueue(user.id);
+  }
+
+  // Splits a message into IRC lines, with the thread prefix on the first one. Messages with more
+  // than `ircMaxLines` lines are cut short and followed by a link to the full text as a paste.
+  ircLines(message, text, nick, channel, linePrefix = '') {
+    const prefix = message.prefix || '';
+    // Actions are wrapped in CTCP, which takes up another 9 bytes
+    const overhead = Buffer.byteLength(prefix + linePrefix) + (message.subtype === 'me_message' ? 9 : 0);
+    const lines = toIRCLines(text, messageByteLimit(nick, channel) - overhead);
+    if (lines.length > 0) lines[0] = `${prefix}${lines[0]}`;
+    if (lines.length <= this.ircMaxLines) return Promise.resolve(lines.map(line => `${linePrefix}${line}`));
+
+    const shown = lines.slice(0, this.ircMaxLines);
+    return this.createPaste({ content: text }, message)
+      .then(url => { shown.push(`full message: ${url}`); })
+      .catch(error => {
+        logger.debug(`Error ${error} creating a paste for a long message`);
+        shown.push(...lines.slice(this.ircMaxLines));
+      })
+      .then(() => shown.map(line => `${linePrefix}${line}`));
+  }
+
+  // Until its IRC text is ready, a message taken off the queue can still be deleted
+  startSending(message) {
+    if (message.ts != null) this.sendingMessages[message.ts] = message;
+  }
+
+  // Whether a message is still to be sent now that its IRC text is ready
+  finishSending(message) {
+    if (message.ts != null) delete this.sendingMessages[message.ts];
+    return !message.deleted;
+  }
+
+  // Queued corrections and notices are already IRC text and must not be parsed again
+  queuedText(message) {
+    return message.parsed ? Promise.resolve(message.text) : this.parseText(message.text);
+  }
+
+  recordRelayed(user, ircChannel, message, text) {
+    if (message.ts == null) return;
+    this.relayedMessages.add(message.ts, {
+      user: user.id,
+      slackChannel: message.channel,
+      ircChannel,
+      text
+    });
+  }
+
+  // Relays queued messages through the main IRC client, for when shadow clients are disabled.
+  // The Slack user is identified by the `ircUsernameFormat` prefix instead of a nick.
+  sendMessagesThroughBot(user) {
+    const messageQueue = this.messageQueues[user.id];
+    for (const channel of _.keys(messageQueue)) {
+      const messages = messageQueue[channel];
+      while (messages.length > 0) {
+        this.sendThroughBot(user, channel, messages.shift());
       }
     }
   }
 
-  sendToSlack(author, channel, text) {
+  sendThroughBot(user, channel, message) {
+    const name = userName(user);
+    this.startSending(message);
+    this.queuedText(message).then(text => {
+      const linePrefix = message.subtype === 'me_message' ? `Action: ${name} ` : this.ircUsername(user, channel);
+      return this.ircLines(message, text, this.ircClient.nick, channel, linePrefix).then(lines => {
+        if (!this.finishSending(message)) return;
+        if (message.notice) {
+          logger.debug(`${name}: Sending notice to IRC through the bot`, channel, text);
+          lines.forEach(line => this.ircClient.notice(channel, line));
+        } else {
+          logger.debug(`${name}: Sending message to IRC through the bot`, channel, text);
+          lines.forEach(line => this.ircClient.say(channel, line));
+        }
+        this.recordRelayed(user, channel, message, text);
+      });
+    }).catch(error => {
+      this.finishSending(message);
+      logger.debug(`Error ${error} parsing text in sendMessagesThroughBot`);
+    });
+  }
+
+  sendToSlack(author, channel, text, raw) {
+    if (this.isMutedIRCUser(author, raw)) {
+      logger.debug(`Ignoring message from muted IRC user '${author}'.`);
+      return;
+    }
+
     const slackChannelName = this.invertedMapping[channel.toLowerCase()];
     if (slackChannelName) {
       const name = slackChannelName.replace(/^#/, '');
+      // Posted in server-time order, whichever channel lookup finishes first
+      const ticket = this.relayOrder.enter(channel.toLowerCase(), serverTime(raw));
       this.getSlackChannelByName(name).then(slackChannel => {
         // If it's a private group and the bot isn't in it, we won't find anything here.
         // If it's a channel however, we need to check is_member.
         if (!slackChannel || (!slackChannel.is_member && !slackChannel.is_group)) {
           logger.info('Tried to send a message to a channel the bot isn\'t in: ',
             slackChannelName);
+          ticket.release();
           return;
         }
 
@@ -662,11 +1490,12 @@ class Bot {
         const currentShadowUsernames = this.currentShadowNicks();
         if (currentShadowUsernames.indexOf(author) > -1) {
           logger.debug(`Ignoring message from shadow user IRC bot '${author}'.`);
+          ticket.release();
           return;
         }
 
         const replacedText = this.replaceUsernames(text);
-        const convertedText = this.convertFormatting(replacedText);
+        const convertedText = unicodeToSlack(this.convertFormatting(replacedText));
         const mappedText = this.mapSlackUsers(slackChannel, convertedText);
 
         let iconUrl;
@@ -677,35 +1506,79 @@ class Bot {
         const options = {
           channel: slackChannel.id,
           text: mappedText,
-          username: author,
+          username: this.slackUsername(author, channel, raw),
           parse: 'full',
           icon_url: iconUrl,
           as_user: 'false'
         };
+        if (this.channelOption(slackChannelName, 'threads') === 'inline') {
+          options.thread_ts = this.threadFor(text, slackChannel);
+        }
 
         logger.debug('Sending message to Slack', mappedText, channel, '->', slackChannelName);
-        this.slack.web.chat.postMessage(options).then(_resp => { /* success */ });
-      }).catch(error => { logger.debug(`Error ${error} getting channel by name in sendToSlack`); });
+        const coalesce = `${slackChannel.id}:${author}:${options.thread_ts || ''}`;
+        ticket.release(() => {
+          if (raw != null) this.ircHistory.record(channel, serverTime(raw), raw.tags && raw.tags.msgid);
+          this.slackDispatcher.post(options, { coalesce })
+            .then(resp => this.recordPosted(resp && resp.ts, slackChannel.id, channel, text, raw))
+            .catch(error => { logger.debug(`Error ${error} posting message in sendToSlack`); });
+        });
+      }).catch(error => {
+        ticket.release();
+        logger.debug(`Error ${error} getting channel by name in sendToSlack`);
+      });
     }
   }
 
-  getSlackChannelByName(name) {
-    return this.slack.web.conversations.list().then(resp => {
-      const { channels } = resp;
-      let slackChannel;
-      for (const chan of channels) {
-        if (channelName(chan) === name) {
-          slackChannel = chan;
-        }
+  // Remembers an IRC message posted to Slack, so reactions to it can be relayed both ways
+  recordPosted(ts, slackChannelId, ircChannel, text, raw) {
+    if (ts == null) return;
+    this.postedMessages.add(ts, { ircChannel, text });
+    const msgid = raw && raw.tags && raw.tags.msgid;
+    if (msgid) this.ircMessageIds.add(msgid, { slackChannel: slackChannelId, ts });
+  }
+
+  // Asks the server for what was said in a channel while we were disconnected, with CHATHISTORY,
+  // or lets Slack know that part of the conversation is missing
+  backfillHistory(ircChannel, since) {
+    const client = this.ircClient;
+    const isupport = client.caps ? client.caps.isupport : {};
+    const supported = hasCap(client, 'batch')
+      && (hasCap(client, 'draft/chathistory') || _.has(isupport, 'CHATHISTORY'));
+    if (supported) {
+      logger.debug(`Requesting the IRC history of ${ircChannel} missed while reconnecting`);
+      client.send(...this.ircHistory.request(ircChannel, since, Number(isupport.CHATHISTORY)));
+    } else {
+      this.sendToSlack(this.nickname, ircChannel, `*${describeGap(Date.now() - since)}*`);
+    }
+  }
+
+  // Relays the messages of a CHATHISTORY batch that weren't relayed already, marked as history
+  relayHistory(batch) {
+    batch.messages.forEach((message) => {
+      if (message.rawCommand !== 'PRIVMSG' && message.rawCommand !== 'NOTICE') return;
+      const [channel, text = ''] = message.args;
+      const time = serverTime(message);
+      if (message.nick === this.ircClient.nick || this.ircHistory.isRelayed(channel, time, message.tags.msgid)) return;
+
+      let formattedText = text;
+      if (text.startsWith('\u0001ACTION ') && text.endsWith('\u0001')) {
+        formattedText = `_${text.slice('\u0001ACTION '.length, -1)}_`;
+      } else if (message.rawCommand === 'NOTICE') {
+        formattedText = `*${text}*`;
       }
-      return slackChannel;
-    }).catch(error => {
+      this.sendToSlack(message.nick, channel, `${historyLabel(time)}${formattedText}`, message);
+    });
+  }
+
+  getSlackChannelByName(name) {
+    return this.channelDirectory.byName(name).catch(error => {
       logger.debug(`Error ${error} getting channel list in getSlackChannelByName`);
     });
   }
 
   updateSlackPresenceSubs() {
-    this.slack.rtm.subscribePresence(_.keys(this.ircClients))
+    this.slack.transport.subscribePresence(_.keys(this.ircClients))
       .then(_resp => { /* success */ })
       .catch(error => logger.debug(`Error ${error} subscribing presence`));
   }
@@ -715,22 +1588,24 @@ class Bot {
     if (!this.statusChanges) return;
     logger.debug(`Creating clients for active users on connect for channel ${slackChannelName}.`);
     const name = slackChannelName.replace(/^#/, '');
-    this.getSlackChannelByName(name).then(slackChannel => {
-      for (const member of slackChannel.members) {
-        this.slack.web.users.info({ user: member}).then(resp => {
-          const user = resp.user;
-          if (user.presence === 'active') {
-            this.connectNewClient(user);
-          }
-        });
-      }
-    }).catch(error => { logger.debug(`Error ${error} getting channel by name in checkActiveUsers`); });
+    this.getSlackChannelByName(name)
+      .then(slackChannel => this.channelDirectory.memberIds(slackChannel.id))
+      .then(members => {
+        for (const member of members) {
+          this.userCache.get(member).then(user => {
+            if (user.presence === 'active') {
+              this.connectNewClient(user);
+            }
+          });
+        }
+      })
+      .catch(error => { logger.debug(`Error ${error} getting channel members in checkActiveUsers`); });
   }
 
   currentChannelUsernames(slackChannel) {
     return slackChannel.members.map(member =>
-      this.slack.web.users.info({ user: member })
-        .then(resp => userName(resp.user))
+      this.userCache.get(member)
+        .then(user => userName(user))
         .catch(error => {
           logger.debug(`Error ${error} getting users info in currentChannelUsernames`);
         })
@@ -762,7 +1637,7 @@ class Bot {
   }
 
   replaceUsernames(text) {
-    return text.replace(this.nickRegex, (match, slackNick) => {
+    const replaced = text.replace(this.nickRegex, (match, slackNick) => {
       for (const key of _.keys(this.ircClients)) {
         const client = this.ircClients[key];
         if (client.nick === slackNick) {
@@ -771,16 +1646,22 @@ class Bot {
       }
       return match;
     });
+
+    // Nicks chosen with `.nick` don't have the suffix, so they're matched one by one
+    return _.values(this.ircClients)
+      .filter(client => client.nick && this.userSettings.get(client.userId).nick)
+      .reduce((current, client) => current.replace(
+        new RegExp(`(^|\\s)@?${_.escapeRegExp(client.nick)}(?=$|[\\s.,:;!?])`, 'g'),
+        (match, before) => `${before}${client.slackName}`
+      ), replaced);
   }
 
   convertFormatting(text) {
-    const converted = text.replace(/\x03\d{2}(.+?)\x0F/g, '`$1`');
-    return converted.replace(/\x02(.+?)\x0F/g, '*$1*');
+    return this.formatting === 'strip' ? stripIRCFormatting(text) : ircToSlack(text);
   }
 
   getIRCChannel(slackChannelID) {
-    return this.slack.web.conversations.info({ channel: slackChannelID }).then(resp => {
-      const { channel } = resp;
+    return this.channelDirectory.byId(slackChannelID).then(channel => {
       let chanName = channelName(channel);
       chanName = channel.is_channel ? `#${chanName}` : chanName;
       return this.channelMapping[chanName];
@@ -817,6 +1698,10 @@ class Bot {
     const help = commandHelp.bind(this);
     const priv = privMessage.bind(this);
     const resetIRCClient = resetIRC.bind(this);
+    const mute = muteUser.bind(this);
+    const unmute = unmuteUser.bind(this);
+    const nick = setNick.bind(this);
+    const identify = identifyNickServ.bind(this);
 
     if (match == null) {
       return;
@@ -839,32 +1724,46 @@ class Bot {
           if (remaining) {
             priv(message, argument, remaining);
           } else {
-            this.slack.rtm.sendMessage('You must supply a message.', message.channel)
-              .then(_resp => { /* success */ })
-              .catch(error => { logger.debug(`Error ${error} sending RTM message in processCommandMessage`); });
+            this.sendReply('You must supply a message.', message.channel);
           }
           break;
         case 'help':
           help(message);
           break;
+        case 'mute':
+          mute(message, argument, remaining);
+          break;
+        case 'unmute':
+          unmute(message, argument, remaining);
+          break;
+        case 'nick':
+          nick(message, argument);
+          break;
+        case 'identify':
+          identify(message, argument, remaining);
+          break;
         default:
           logger.debug('Invalid command received: ', command, argument);
       }
     }
   }
 
-  createGist(obj, cb) {
-    const entities = new AllHtmlEntities();
-    const files = {};
-    const language = lang(obj.content) || 'text';
-    const filename = obj.filename || `file.${extensions[language]}`;
-    files[filename] = { content: entities.decode(obj.content) };
-    const options = {
-      description: 'generated automatically from #selenium on seleniumhq slack',
-      public: true,
-      files
-    };
-    this.gists.create(options, cb);
+  // Posts text from a Slack message to the paste provider, described with the `paste.description`
+  // template, which can use $channel and $author
+  createPaste({ filename, content, language }, message) {
+    if (this.pasteProvider == null) return Promise.reject(new Error('no paste provider is configured'));
+    const decoded = new AllHtmlEntities().decode(content);
+    return Promise.all([
+      this.channelDirectory.byId(message.channel).catch(_.noop),
+      message.user ? this.userCache.get(message.user).catch(_.noop) : undefined
+    ]).then(([channel, user]) => this.pasteProvider.create({
+      filename: filename || codeFilename(language || detectLanguage(decoded)),
+      content: decoded,
+      description: renderTemplate(this.pasteDescription, {
+        channel: channel ? `#${channel.name_normalized || channel.name}` : '',
+        author: user ? userName(user) : ''
+      })
+    }));
   }
 }
 
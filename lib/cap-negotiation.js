@@ -0,0 +1,337 @@
+import _ from 'lodash';
+
+export const SASL_MECHANISMS = ['PLAIN', 'EXTERNAL'];
+
+// The capabilities the bridge makes use of, requested when the server offers them
+export const IRCV3_CAPS = [
+  'server-time', 'message-tags', 'echo-message', 'away-notify', 'account-notify',
+  'extended-join', 'multi-prefix', 'batch', 'draft/chathistory'
+];
+
+// Servers mark CHATHISTORY replies with one of these batch types
+export const HISTORY_BATCH_TYPES = ['chathistory', 'draft/chathistory'];
+
+const TAG_ESCAPES = {
+  ':': ';', s: ' ', '\\': '\\', r: '\r', n: '\n'
+};
+
+// AUTHENTICATE payloads are sent in chunks of at most 400 bytes
+const CHUNK_SIZE = 400;
+
+const SASL_FAILURES = {
+  902: 'the account is unavailable',
+  904: 'the server rejected the credentials',
+  905: 'the credentials are too long',
+  906: 'authentication was aborted'
+};
+
+/**
+ * Returns the AUTHENTICATE lines that send SASL credentials. PLAIN logs in with account and
+ * password, EXTERNAL with the TLS client certificate (optionally naming the account).
+ * @return {string[]}
+ */
+export function authenticateLines({ mechanism, account, password }) {
+  const credentials = mechanism === 'PLAIN' ? `${account}\0${account}\0${password}` : account;
+  if (!credentials) return ['+'];
+
+  const payload = Buffer.from(credentials).toString('base64');
+  const chunks = payload.match(new RegExp(`.{1,${CHUNK_SIZE}}`, 'g'));
+  // A final chunk of exactly 400 bytes needs a `+` to mark the end
+  if (_.last(chunks).length === CHUNK_SIZE) chunks.push('+');
+  return chunks;
+}
+
+/**
+ * Splits the IRCv3 message tags off a raw line, e.g. `@time=2019-01-01T00:00:00.000Z :nick!u@h PRIVMSG ...`
+ * @return {{ tags: object, line: string }}
+ */
+export function parseTags(line) {
+  if (line[0] !== '@') return { tags: {}, line };
+  const space = line.indexOf(' ');
+  if (space === -1) return { tags: {}, line: '' };
+  const tags = {};
+  line.slice(1, space).split(';').forEach((tag) => {
+    const [key, ...value] = tag.split('=');
+    tags[key] = value.join('=').replace(/\\(.?)/g, (match, char) => (
+      _.has(TAG_ESCAPES, char) ? TAG_ESCAPES[char] : char
+    ));
+  });
+  return { tags, line: line.slice(space + 1).replace(/^ +/, '') };
+}
+
+/**
+ * Whether a capability was negotiated for the client
+ * @return {boolean}
+ */
+export function hasCap(client, cap) {
+  return client.caps != null && client.caps.enabled.indexOf(cap) > -1;
+}
+
+/**
+ * The account an IRC user is logged in to, from the message's account tag or as
+ * tracked through extended-join, account-notify and WHOX
+ * @return {?string}
+ */
+export function ircAccount(client, nick, message) {
+  if (message && message.tags && message.tags.account) return message.tags.account;
+  if (client.caps == null || nick == null) return null;
+  return client.caps.accounts[nick.toLowerCase()] || null;
+}
+
+// irc-upd doesn't know about message tags, so they're cut off every line before it parses it.
+// The raw listener then takes them from `pending`, as it sees the lines in the same order.
+function readTags(client, pending) {
+  const reading = client;
+  const { convertEncoding } = client;
+  reading.convertEncoding = function convert(buffer) {
+    const text = convertEncoding.call(this, buffer).toString();
+    // irc-upd converts the buffer again once more arrives, until it ends with a whole line
+    if (!/[\r\n]$/.test(text)) return text;
+    return text.split(/\r\n|\r|\n/).map((line) => {
+      if (line.length === 0) return line;
+      const parsed = parseTags(line);
+      if (parsed.line.length > 0) pending.push(parsed.tags);
+      return parsed.line;
+    }).join('\r\n');
+  };
+}
+
+/**
+ * Negotiates IRCv3 capabilities for an irc-upd client, and logs in with SASL if given.
+ * Negotiation starts before NICK and USER are sent, so the server holds registration (and
+ * with it any channel joins) until CAP END, which is only sent once SASL has succeeded.
+ * When authentication fails the client emits `saslFailed` with the reason and disconnects,
+ * without reconnecting. `saslSuccess` is emitted once logged in.
+ *
+ * Parsed messages get their `tags`, and `batch` if they're part of one. The client emits `batch`
+ * with every finished batch, `tagmsg` (target, tags, message) for messages without text, and
+ * `echo` (target, text, message) for its own echoed messages, which irc-upd would otherwise
+ * take for someone else's. Played back history is only passed on with its batch, not as
+ * new messages. `client.caps` tracks the accounts and away messages of
+ * other users by lower case nick, and the server's ISUPPORT tokens.
+ *
+ * irc-upd answers CAP and AUTHENTICATE itself, doing SASL PLAIN with `userName` as the account
+ * and ignoring failures, so the messages handled here are hidden from it.
+ * @param {Client} client
+ * @param {object} options
+ */
+export function negotiateCaps(client, { caps = [], sasl } = {}) {
+  const wanted = sasl ? [...caps, 'sasl'] : caps;
+  const state = {
+    available: [], enabled: [], authenticated: false, failed: false, accounts: {}, away: {}, batches: {}, isupport: {}
+  };
+  const negotiating = client;
+  const pendingTags = [];
+  readTags(client, pendingTags);
+
+  const fail = (reason) => {
+    // The server may follow one failure numeric with another
+    if (state.failed) return;
+    state.failed = true;
+    client.emit('saslFailed', reason);
+    client.disconnect('SASL authentication failed');
+  };
+
+  const finishLS = () => {
+    if (sasl && state.available.indexOf('sasl') === -1) {
+      fail('the server does not support SASL');
+      return;
+    }
+    const requested = wanted.filter(cap => state.available.indexOf(cap) > -1);
+    if (requested.length === 0) {
+      client.send('CAP', 'END');
+    } else {
+      client.send('CAP', 'REQ', requested.join(' '));
+    }
+  };
+
+  const handleCap = ([, subcommand, ...rest]) => {
+    // Multi-line replies mark every line but the last with `*`
+    const more = rest.length > 1 && rest[0] === '*';
+    const list = _.last(rest).split(' ').filter(cap => cap.length > 0);
+    switch (subcommand) {
+      case 'LS':
+        state.available.push(...list.map(cap => cap.split('=')[0]));
+        if (!more) finishLS();
+        break;
+      case 'ACK':
+        state.enabled.push(...list);
+        if (sasl && list.indexOf('sasl') > -1) {
+          client.send('AUTHENTICATE', sasl.mechanism);
+        } else if (!more) {
+          client.send('CAP', 'END');
+        }
+        break;
+      case 'NAK':
+        if (sasl) {
+          fail('the server refused the SASL capability');
+        } else {
+          client.send('CAP', 'END');
+        }
+        break;
+      default:
+    }
+  };
+
+  // Sent before irc-upd's own handshake. Only WEBIRC has to come earlier, so it's sent
+  // here instead of by irc-upd.
+  const connectionHandler = client._connectionHandler; // eslint-disable-line no-underscore-dangle
+  negotiating._connectionHandler = function connected() { // eslint-disable-line no-underscore-dangle
+    state.available = [];
+    state.enabled = [];
+    state.authenticated = false;
+    state.failed = false;
+    state.accounts = {};
+    state.away = {};
+    state.batches = {};
+    state.isupport = {};
+    pendingTags.length = 0;
+    const { webirc } = this.opt;
+    if (webirc && webirc.pass && webirc.ip && webirc.host) {
+      this.send('WEBIRC', webirc.pass, this.opt.userName, webirc.host, webirc.ip);
+    }
+    this.send('CAP', 'LS', '302');
+    this.opt.webirc = {};
+    connectionHandler.call(this);
+    this.opt.webirc = webirc;
+  };
+
+  const isSelf = nick => nick != null && client.nick != null && nick.toLowerCase() === client.nick.toLowerCase();
+
+  // Runs for the features of the enabled capabilities, returns true if irc-upd shouldn't see the message
+  const handleFeature = (message) => {
+    const { nick, args } = message;
+    const key = nick && nick.toLowerCase();
+    switch (message.rawCommand) {
+      case 'BATCH': {
+        const id = args[0].slice(1);
+        if (args[0][0] === '+') {
+          state.batches[id] = {
+            id, type: args[1], params: args.slice(2), messages: []
+          };
+        } else if (state.batches[id] != null) {
+          const batch = state.batches[id];
+          delete state.batches[id];
+          client.emit('batch', batch);
+        }
+        return true;
+      }
+      case 'PRIVMSG':
+      case 'NOTICE':
+        if (hasCap(client, 'echo-message') && isSelf(nick)) {
+          client.emit('echo', args[0], args[1] || '', message);
+          return true;
+        }
+        return false;
+      case 'TAGMSG':
+        // Messages that are only tags, like reactions
+        if (!isSelf(nick)) client.emit('tagmsg', args[0], message.tags, message);
+        return true;
+      case 'ACCOUNT':
+        state.accounts[key] = args[0] === '*' ? undefined : args[0];
+        client.emit('account', nick, state.accounts[key]);
+        return true;
+      case 'AWAY':
+        if (args.length > 0) {
+          [state.away[key]] = args;
+        } else {
+          delete state.away[key];
+        }
+        return true;
+      case 'JOIN':
+        if (hasCap(client, 'extended-join') && args.length > 1) {
+          state.accounts[key] = args[1] === '*' ? undefined : args[1];
+        }
+        // WHOX tells us who in the channel is logged in, account-notify keeps it current
+        if (isSelf(nick) && hasCap(client, 'account-notify')) client.send('WHO', args[0], '%na');
+        return false;
+      case '354':
+        if (args.length < 3) return false;
+        state.accounts[args[1].toLowerCase()] = args[2] === '0' ? undefined : args[2];
+        return true;
+      case 'NICK':
+        state.accounts[args[0].toLowerCase()] = state.accounts[key];
+        state.away[args[0].toLowerCase()] = state.away[key];
+        delete state.accounts[key];
+        delete state.away[key];
+        return false;
+      case 'QUIT':
+        delete state.accounts[key];
+        delete state.away[key];
+        return false;
+      case '005':
+        args.slice(1, -1).forEach((token) => {
+          const [name, ...value] = token.split('=');
+          state.isupport[name] = value.join('=');
+        });
+        return false;
+      case '353':
+        // With multi-prefix, names can have several prefixes of which irc-upd only expects the highest
+        if (hasCap(client, 'multi-prefix')) {
+          const names = message;
+          names.args[3] = args[3].split(' ').map((name) => {
+            let end = 0;
+            while (end < name.length && name[end] in client.modeForPrefix) end += 1;
+            return end > 1 ? name[0] + name.slice(end) : name;
+          }).join(' ');
+        }
+        return false;
+      default:
+        return false;
+    }
+  };
+
+  client.prependListener('raw', (message) => {
+    const tagged = message;
+    tagged.tags = pendingTags.shift() || {};
+    const batch = state.batches[tagged.tags.batch];
+    if (batch != null) {
+      tagged.batch = batch;
+      batch.messages.push(message);
+    }
+    const history = batch != null && HISTORY_BATCH_TYPES.indexOf(batch.type) > -1;
+    if (history || handleFeature(message)) {
+      tagged.command = `handled_${message.rawCommand}`;
+      tagged.commandType = 'normal';
+      return;
+    }
+
+    switch (message.rawCommand) {
+      case 'CAP':
+        handleCap(message.args);
+        break;
+      case 'AUTHENTICATE':
+        if (sasl && message.args[0] === '+') {
+          authenticateLines(sasl).forEach(line => client.send('AUTHENTICATE', line));
+        }
+        break;
+      case '903':
+        state.authenticated = true;
+        client.send('CAP', 'END');
+        client.emit('saslSuccess');
+        break;
+      case '902':
+      case '904':
+      case '905':
+      case '906':
+        fail(SASL_FAILURES[message.rawCommand]);
+        break;
+      case '908':
+        fail(`the server only supports ${message.args[1]}`);
+        break;
+      case '001':
+        // Servers without CAP support register right away, which mustn't count as logged in
+        if (!sasl || state.authenticated) return;
+        fail('the server registered the connection without SASL');
+        break;
+      default:
+        return;
+    }
+    const handled = message;
+    handled.command = `handled_${message.rawCommand}`;
+    handled.commandType = 'normal';
+  });
+
+  negotiating.caps = state;
+  return state;
+}
@@ -0,0 +1,101 @@
+import _ from 'lodash';
+import logger from 'winston';
+import { fetchAllPages } from './pagination';
+
+const PAGE_SIZE = 200;
+// A name that isn't found only triggers a reload of the whole list this often
+const RELOAD_INTERVAL = 60 * 1000; // Milliseconds
+
+const channelName = channel => channel.name_normalized || channel.name;
+
+/**
+ * Caches the Slack channels the bridge works with, so relaying a message doesn't
+ * need a `conversations.list` call. Loaded once in full and then kept up to date
+ * from RTM events.
+ * @param {WebClient} web
+ */
+class ChannelDirectory {
+  constructor(web) {
+    this.web = web;
+    this.channels = {};
+    this.members = {};
+    this.loading = null;
+    this.loadedAt = 0;
+  }
+
+  load() {
+    if (this.loading == null) {
+      const options = { types: 'public_channel,private_channel', exclude_archived: true, limit: PAGE_SIZE };
+      this.loading = fetchAllPages(this.web.conversations.list, options, 'channels')
+        .then((channels) => {
+          channels.forEach(channel => this.update(channel));
+          this.loadedAt = Date.now();
+          this.loading = null;
+          logger.debug(`Loaded ${channels.length} Slack channels`);
+        }, (error) => {
+          this.loading = null;
+          throw error;
+        });
+    }
+    return this.loading;
+  }
+
+  byName(name) {
+    const find = () => _.find(this.channels, channel => channelName(channel) === name);
+    const found = this.loadedAt > 0 && find();
+    if (found) return Promise.resolve(found);
+    if (Date.now() - this.loadedAt < RELOAD_INTERVAL) return Promise.resolve(undefined);
+    return this.load().then(find);
+  }
+
+  byId(id) {
+    if (this.channels[id] != null) return Promise.resolve(this.channels[id]);
+    // DMs and channels created before the last load are looked up one by one
+    return this.web.conversations.info({ channel: id })
+      .then(resp => this.update(resp.channel));
+  }
+
+  // Merges what's known about a channel, since events only carry some of its fields
+  update(channel) {
+    if (channel == null || channel.id == null) return channel;
+    const known = { ...this.channels[channel.id] };
+    // Renames carry the new name without a normalized one, which would otherwise keep the old name
+    if (channel.name != null && channel.name_normalized == null) delete known.name_normalized;
+    this.channels[channel.id] = { ...known, ...channel };
+    return this.channels[channel.id];
+  }
+
+  remove(id) {
+    delete this.channels[id];
+    delete this.members[id];
+  }
+
+  memberIds(id) {
+    if (this.members[id] != null) return Promise.resolve(this.members[id]);
+    return fetchAllPages(this.web.conversations.members, { channel: id, limit: PAGE_SIZE }, 'members')
+      .then((members) => {
+        this.members[id] = members;
+        return members;
+      });
+  }
+
+  memberJoined(id, userId, botUserId) {
+    if (userId === botUserId && this.channels[id] != null) {
+      this.channels[id].is_member = true;
+    }
+    if (this.members[id] != null) {
+      this.members[id] = _.union(this.members[id], [userId]);
+    }
+  }
+
+  memberLeft(id, userId, botUserId) {
+    if (userId === botUserId && this.channels[id] != null) {
+      this.channels[id].is_member = false;
+    }
+    if (this.members[id] != null) {
+      this.members[id] = _.without(this.members[id], userId);
+    }
+  }
+}
+
+export default ChannelDirectory;
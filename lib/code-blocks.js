@@ -0,0 +1,143 @@
+import _ from 'lodash';
+import { AllHtmlEntities } from 'html-entities';
+import lang from 'language-classifier';
+
+export const EXTENSIONS = {
+  c: 'c',
+  'c++': 'cpp',
+  csharp: 'cs',
+  css: 'css',
+  diff: 'diff',
+  go: 'go',
+  html: 'html',
+  java: 'java',
+  javascript: 'js',
+  json: 'json',
+  kotlin: 'kt',
+  markdown: 'md',
+  'objective-c': 'm',
+  php: 'php',
+  python: 'py',
+  ruby: 'rb',
+  rust: 'rs',
+  shell: 'sh',
+  sql: 'sql',
+  swift: 'swift',
+  text: 'txt',
+  typescript: 'ts',
+  xml: 'xml',
+  yaml: 'yml'
+};
+
+// Other names people put after the opening fence
+const ALIASES = {
+  bash: 'shell',
+  cpp: 'c++',
+  cs: 'csharp',
+  'c#': 'csharp',
+  golang: 'go',
+  js: 'javascript',
+  kt: 'kotlin',
+  md: 'markdown',
+  objc: 'objective-c',
+  patch: 'diff',
+  py: 'python',
+  rb: 'ruby',
+  rs: 'rust',
+  sh: 'shell',
+  ts: 'typescript',
+  txt: 'text',
+  yml: 'yaml',
+  zsh: 'shell'
+};
+
+// Checked in order, before the classifier, which only knows a few languages. A language
+// matches if any of its entries does, where an array of patterns only matches if all do.
+const PATTERNS = [
+  ['diff', /^(---|\+\+\+) \S/m, /^@@ -\d+(,\d+)? \+\d+(,\d+)? @@/m],
+  ['go', /^package \w+$/m, /^func (\(\w+ \*?\w+\) )?\w+\(/m, /\w+ := /],
+  // `::`, `->` and `name!(` on their own are just as common in C++, PHP, Python and Ruby
+  ['rust', [/\bfn \w+(<[^>]*>)?\(/, /\blet (mut )?\w+|\w+!\(|::\w+|-> \w+|&(mut )?\w+/],
+    /^\s*impl(<[^>]*>)? \w+( for \w+)? \{/m, /\blet mut \w+/],
+  ['java', /\b(public|private|protected) (static )?(final )?(class|void|int|String)\b/,
+    /System\.out\.print|import java\./],
+  ['sql', /^\s*(SELECT\b[\s\S]*\bFROM|INSERT INTO|UPDATE \w+ SET|DELETE FROM|CREATE (TABLE|INDEX)|ALTER TABLE)\b/i],
+  ['python', /^\s*(def|class) \w+(\(.*\))?( -> [\w.[\], ]+)?:\s*$/m,
+    /^\s*(elif|except)\b.*:\s*$/m, /^from [\w.]+ import /m],
+  ['ruby', /^\s*(def|class|module) \w+[^:{]*\n[\s\S]*^\s*end\s*$/m],
+  ['javascript', /\b(const|let|var) \w+ = |\bfunction\s*\w*\(|\brequire\(['"]|=> \{/],
+  ['shell', /^#!\/(usr\/)?bin\/(env )?(ba|z)?sh\b/, /^\s*\$ \w+/m]
+];
+
+const entities = new AllHtmlEntities();
+const YAML_LINE = /^(\s*(- )?[\w.-]+:( .*)?|\s*- .+|---|\s*#.*)$/;
+
+/**
+ * The language name for what was written after an opening fence, or null if it isn't one
+ * @param {string} name
+ * @return {?string}
+ */
+export function fenceLanguage(name) {
+  const lower = name.toLowerCase();
+  if (_.has(EXTENSIONS, lower)) return lower;
+  return _.has(ALIASES, lower) ? ALIASES[lower] : null;
+}
+
+/**
+ * Guesses the language of a piece of code
+ * @param {string} code
+ * @return {string} a key of EXTENSIONS
+ */
+export function detectLanguage(code) {
+  const trimmed = code.trim();
+  if (/^[[{]/.test(trimmed)) {
+    try {
+      JSON.parse(trimmed);
+      return 'json';
+    } catch (error) {
+      // Not JSON after all
+    }
+  }
+  const matches = pattern => (_.isArray(pattern) ? pattern.every(matches) : pattern.test(trimmed));
+  const found = _.find(PATTERNS, ([, ...patterns]) => patterns.some(matches));
+  if (found) return found[0];
+  const lines = trimmed.split('\n').filter(line => line.trim() !== '');
+  if (lines.length > 1 && lines.every(line => YAML_LINE.test(line))) return 'yaml';
+
+  const classified = lang(trimmed);
+  return _.has(EXTENSIONS, classified) ? classified : 'text';
+}
+
+/**
+ * A file name for code in a language, e.g. `file.py`
+ * @param {string} language
+ * @return {string}
+ */
+export function codeFilename(language) {
+  return `file.${EXTENSIONS[language] || EXTENSIONS.text}`;
+}
+
+/**
+ * Finds every ``` fenced block in Slack text, with its language: the one named after the
+ * opening fence, e.g. ```python, or a guess from the code
+ * @param {string} text
+ * @return {Array<{ match: string, code: string, language: string }>}
+ */
+export function extractCodeBlocks(text) {
+  const blocks = [];
+  const regex = /```([^]*?)```/g;
+  let found = regex.exec(text);
+  while (found != null) {
+    let code = found[1];
+    const named = code.match(/^([\w+#-]+)\n/);
+    const language = named && fenceLanguage(named[1]);
+    if (language) code = code.slice(named[0].length);
+    code = code.replace(/^\n+|\n+$/g, '');
+    if (code.trim() !== '') {
+      // Slack escapes <, > and & in message text
+      blocks.push({ match: found[0], code, language: language || detectLanguage(entities.decode(code)) });
+    }
+    found = regex.exec(text);
+  }
+  return blocks;
+}
@@ -1,5 +1,8 @@
 import _ from 'lodash';
 import logger from 'winston';
+import { invalidMutePattern } from './mute';
+import { isValidNick } from './shadow-nicks';
+
 /**
  * Sends a list of the users currently in the IRC channel in a DM to the requesting Slack user.
  * If query param is included, limits it to users containing the query and sends it to the channel.
@@ -10,14 +13,17 @@ export function onlineIRCUsers(message, query) {
     logger.debug(`Getting online users for IRC channel ${ircChannel}`);
     this.ircClient.once('names', (chan, names) => {
       const userNames = _.keys(names);
+      // Known with away-notify
+      const away = (this.ircClient.caps && this.ircClient.caps.away) || {};
+      const label = name => (away[name.toLowerCase()] ? `${name} (away)` : name);
       if (query == null) {
         // Send list of all users directly to user on .online
         // Open IM in case there isn't already an ongoing DM between the bot and the user
         this.slack.web.im.open({ user: message.user })
           .then(resp => {
             userNames.sort();
-            const reply = `The following users are in ${ircChannel}: ${userNames.join(', ')}`;
-            this.slack.rtm.sendMessage(reply, resp.channel.id);
+            const reply = `The following users are in ${ircChannel}: ${userNames.map(label).join(', ')}`;
+            this.sendReply(reply, resp.channel.id);
           }).catch(error => { logger.debug(`Error ${error} opening IM in onlineIRCUsers`); });
       } else {
         const matched = [];
@@ -29,11 +35,9 @@ export function onlineIRCUsers(message, query) {
         let reply = `No users are online matching '${query}'.`;
         if (matched.length > 0) {
           matched.sort();
-          reply = `'${query}' matched the following users: ${matched.join(', ')}`;
+          reply = `'${query}' matched the following users: ${matched.map(label).join(', ')}`;
         }
-        this.slack.rtm.sendMessage(reply, message.channel)
-          .then(_resp => { /* success */ })
-          .catch(error => { logger.debug(`Error ${error} sending RTM message in onlineIRCUsers`); });
+        this.sendReply(reply, message.channel);
       }
     });
     this.ircClient.send('NAMES', ircChannel);
@@ -49,9 +53,7 @@ export function ircTopic(message) {
     logger.debug(`Requesting topic for IRC channel ${ircChannel}`);
 
     this.ircClient.once('topic', (chan, topic) => {
-      this.slack.rtm.sendMessage(`IRC Topic:  ${topic}`, message.channel)
-        .then(_resp => { /* success */ })
-        .catch(error => { logger.debug(`Error ${error} sending RTM message in ircTopic`); });
+      this.sendReply(`IRC Topic:  ${topic}`, message.channel);
     });
     this.ircClient.send('TOPIC', ircChannel);
   }).catch(error => { logger.debug(`Error ${error} getting IRCChannel in onlineIRCUsers`); });
@@ -61,13 +63,11 @@ export function ircTopic(message) {
  * Reconnects the IRC client for the requesting user
  */
 export function resetIRC(message) {
-  this.slack.web.users.info({ user: message.user }).then(resp => {
-    const { user } = resp;
+  this.userCache.get(message.user).then(user => {
     this.deleteClient(user, 'Resetting...');
+    delete this.clientFailures[user.id];
     this.connectNewClient(user);
-    this.slack.rtm.sendMessage(`Resetting IRC client for ${user.name}...`, message.channel)
-      .then(_resp => { /* success */ })
-      .catch(error => { logger.debug(`Error ${error} sending RTM message in resetIRC`); });
+    this.sendReply(`Resetting IRC client for ${user.name}...`, message.channel);
   }).catch(error => { logger.debug(`Error ${error} getting users info in resetIRC`); });
 }
 
@@ -80,7 +80,7 @@ export function commandHelp(message) {
   console.log(JSON.stringify(message));
   console.log(message.user);
   this.slack.web.im.open({ user: message.user }).then(resp => {
-    this.slack.web.users.info({ user: this.slack.rtm.activeUserId }).then(resp2 => {
+    this.userCache.get(this.slack.transport.activeUserId).then(botUser => {
       const reply = '```.online [, query]``` ' +
         'Sends a list of all names in the IRC channel as a DM. ' +
         'If query parameter is provided, sends a list of partially matching nicks and displays ' +
@@ -92,12 +92,21 @@ export function commandHelp(message) {
         '```.msg ircNick message``` ' +
         'Sends a private message to the specified ircNick. Send the command in this Direct ' +
         'Message to the bot ' +
-        `(${resp2.user.profile.display_name_normalized || resp2.user.name}).` +
+        `(${botUser.profile.display_name_normalized || botUser.name}).` +
+        '```.mute [irc|slack pattern]``` ' +
+        'Mutes an IRC or Slack user (exact name, glob, /regex/ or IRC hostmask). ' +
+        'Lists the current mutes when used without arguments. Admins only.' +
+        '```.unmute irc|slack pattern``` ' +
+        'Removes a pattern from the mute list. Admins only.' +
+        '```.nick [name]``` ' +
+        'Sets the IRC nick for your messages. Without a name, goes back to the nick based on ' +
+        'your Slack name.' +
+        '```.identify [account] password``` ' +
+        'Stores NickServ credentials that your IRC client identifies with when it connects. ' +
+        'Send the command in this Direct Message. Without arguments, forgets them.' +
         '```.help``` ' +
         'Displays this message.';
-      this.slack.rtm.sendMessage(reply, resp.channel.id)
-        .then(_resp => { /* success */ })
-        .catch(error => { logger.debug(`Error ${error} sending RTM message in commandHelp`); });
+      this.sendReply(reply, resp.channel.id);
     }).catch(error => { logger.debug(`Error ${error} getting users info in commandHelp`); });
   }).catch(error => { logger.debug(`Error ${error} opening IM in commandHelp`); });
 }
@@ -114,27 +123,117 @@ export function privMessage(message, ircUser, msg) {
       const reply = 'The `.msg` command should be used through this DM only, ' +
           'using it in an open channel allows visibility to all in that channel. ' +
           'Your original message has not been sent to the user and you may want to delete it from the public channel.';
-      this.slack.rtm.sendMessage(reply, resp.channel.id)
-        .then(_resp => { /* success */ })
-        .catch(error => { logger.debug(`Error ${error} sending RTM message in privMessage`); });
+      this.sendReply(reply, resp.channel.id);
     }).catch(error => { logger.debug(`Error ${error} opening IM in privMessage`); });
   } else {
     logger.debug(`Sending private message to ${ircUser}.`);
-    const messageQueue = this.messageQueues[message.user];
-
-    this.slack.web.users.info({ user: message.user }).then(resp => {
-      const { user } = resp;
+    this.userCache.get(message.user).then(user => {
       this.ircClient.whois(ircUser, (res) => {
         if (res.host) {
-          messageQueue[ircUser] = messageQueue[ircUser] || [];
-          messageQueue[ircUser].push({ text: msg });
+          this.enqueue(user, ircUser, { text: msg });
           this.sendMessagesToIRC(user);
         } else {
-          this.slack.rtm.sendMessage(`\`${ircUser}\` is not online.`, message.channel)
-            .then(_resp => { /* success */ })
-            .catch(error => { logger.debug(`Error ${error} sending RTM message in privMessage`); });
+          this.sendReply(`\`${ircUser}\` is not online.`, message.channel);
         }
       });
     });
   }
 }
+
+function updateMuteList(message, side, pattern, muted) {
+  this.userCache.get(message.user).then(user => {
+    const command = muted ? '.mute' : '.unmute';
+    let reply;
+    if (!this.isAdmin(user)) {
+      reply = `Only bridge admins can use \`${command}\`.`;
+    } else if (side == null && muted) {
+      reply = `Muted on IRC: ${this.muteUsers.irc.join(', ') || 'nobody'}. ` +
+        `Muted on Slack: ${this.muteUsers.slack.join(', ') || 'nobody'}.`;
+    } else if ((side !== 'irc' && side !== 'slack') || !pattern) {
+      reply = `Usage: \`${command} irc|slack pattern\``;
+    } else if (muted && invalidMutePattern(pattern)) {
+      reply = `\`${pattern}\` can't be used as a mute pattern: ${invalidMutePattern(pattern)}`;
+    } else if (muted) {
+      this.muteUsers[side] = _.union(this.muteUsers[side], [pattern]);
+      reply = `Messages from ${side} users matching \`${pattern}\` will no longer be relayed.`;
+    } else {
+      this.muteUsers[side] = _.without(this.muteUsers[side], pattern);
+      reply = `Messages from ${side} users matching \`${pattern}\` will be relayed again.`;
+    }
+    this.sendReply(reply, message.channel);
+  }).catch(error => { logger.debug(`Error ${error} getting users info in updateMuteList`); });
+}
+
+/**
+ * Adds a pattern to the IRC or Slack mute list, or lists the current mutes if no
+ * pattern is given. Only available to users listed in the `admins` option.
+ */
+export function muteUser(message, side, pattern) {
+  updateMuteList.call(this, message, side, pattern, true);
+}
+
+/**
+ * Removes a pattern from the IRC or Slack mute list. Only available to admins.
+ */
+export function unmuteUser(message, side, pattern) {
+  updateMuteList.call(this, message, side, pattern, false);
+}
+
+/**
+ * Sets the IRC nick of the requesting user's shadow client, or goes back to the one
+ * based on their Slack name when no nick is given. The choice is kept across restarts.
+ */
+export function setNick(message, nick) {
+  const { maxLength } = this.shadowNicks;
+  if (nick != null && !isValidNick(nick, maxLength)) {
+    const reply = `\`${nick}\` isn't a valid IRC nick. Nicks can be up to ${maxLength} characters ` +
+      'long, start with a letter and contain only letters, digits and `-[]\\^_{|}`.';
+    this.sendReply(reply, message.channel);
+    return;
+  }
+
+  this.userCache.get(message.user).then(user => (
+    this.userSettings.update(user.id, { nick: nick || null }).then(() => {
+      // A client that gave up, e.g. over an invalid nick, is tried again with the new one
+      delete this.clientFailures[user.id];
+      const ircNick = this.shadowNick(user);
+      this.changeNick(user, ircNick);
+      this.sendReply(`Your IRC nick is now \`${ircNick}\`.`, message.channel);
+    })
+  )).catch(error => { logger.debug(`Error ${error} saving the nick in setNick`); });
+}
+
+/**
+ * Stores NickServ credentials for the requesting user, sent whenever their shadow client
+ * connects. Only accepted in a DM with the bot; without arguments the credentials are removed.
+ */
+export function identifyNickServ(message, account, password) {
+  if (!message.channel.startsWith('D')) {
+    this.slack.web.im.open({ user: message.user }).then(resp => {
+      const reply = 'The `.identify` command should be used through this DM only. ' +
+        'Your credentials were not stored, and you should delete your message from the ' +
+        'public channel and change your NickServ password.';
+      this.sendReply(reply, resp.channel.id);
+    }).catch(error => { logger.debug(`Error ${error} opening IM in identifyNickServ`); });
+    return;
+  }
+
+  // `.identify password` identifies as the current nick, `.identify account password` as the account
+  const nickserv = account == null ? null : {
+    account: password ? account : undefined,
+    password: password || account
+  };
+  this.userCache.get(message.user).then(user => (
+    this.userSettings.update(user.id, { nickserv: nickserv && _.omitBy(nickserv, _.isNil) }).then(() => {
+      delete this.clientFailures[user.id];
+      if (nickserv == null) {
+        this.sendReply('Your NickServ credentials were removed.', message.channel);
+        return;
+      }
+      const client = this.ircClients[user.id];
+      if (client != null && client.connected) this.identifyWithNickServ(user, client);
+      this.sendReply('Your NickServ credentials were stored, your IRC client will identify when it connects.',
+        message.channel);
+    })
+  )).catch(error => { logger.debug(`Error ${error} saving credentials in identifyNickServ`); });
+}
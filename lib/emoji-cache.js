@@ -0,0 +1,51 @@
+import logger from 'winston';
+
+/**
+ * Caches the workspace's custom emoji from `emoji.list`, so relaying a message doesn't
+ * need the API call. Kept up to date from `emoji_changed` events and loaded again once
+ * older than `ttl` seconds. If they can't be loaded, e.g. without the emoji:read scope,
+ * messages are relayed as if the workspace had none.
+ * @param {WebClient} web
+ * @param {number} ttl
+ */
+class EmojiCache {
+  constructor(web, ttl = 3600) {
+    this.web = web;
+    this.ttl = ttl * 1000;
+    this.emoji = {};
+    this.loading = null;
+    this.loadedAt = null;
+  }
+
+  // Resolves with the custom emoji, name to image URL or `alias:name`
+  get() {
+    if (this.loadedAt != null && Date.now() - this.loadedAt < this.ttl) return Promise.resolve(this.emoji);
+    if (this.loading == null) {
+      this.loading = Promise.resolve()
+        .then(() => this.web.emoji.list())
+        .then((resp) => {
+          this.emoji = resp.emoji || {};
+          logger.debug(`Loaded ${Object.keys(this.emoji).length} custom Slack emoji`);
+        })
+        .catch((error) => { logger.debug(`Error ${error} loading custom emoji in EmojiCache`); })
+        .then(() => {
+          // Failed loads aren't retried before the next one is due either
+          this.loadedAt = Date.now();
+          this.loading = null;
+          return this.emoji;
+        });
+    }
+    return this.loading;
+  }
+
+  // Applies an `emoji_changed` event
+  update(event) {
+    if (event.subtype === 'add') {
+      this.emoji[event.name] = event.value;
+    } else if (event.subtype === 'remove') {
+      (event.names || []).forEach((name) => { delete this.emoji[name]; });
+    }
+  }
+}
+
+export default EmojiCache;
@@ -0,0 +1,84 @@
+import _ from 'lodash';
+import { emoji as unicodeEmoji } from 'node-emoji';
+import emoticons from '../assets/emoji.json';
+
+// What happens to custom workspace emoji on IRC: kept as `:name:`, replaced by their image URL, or removed
+export const CUSTOM_EMOJI_MODES = ['shortcode', 'url', 'drop'];
+
+// Slack writes skin tones as a second shortcode, `:+1::skin-tone-3:`
+const SKIN_TONES = _.fromPairs(_.range(2, 7).map(tone => [`skin-tone-${tone}`, String.fromCodePoint(0x1F3F9 + tone)]));
+const VARIATION_SELECTOR = /\uFE0F/g;
+
+const withoutSelectors = text => text.replace(VARIATION_SELECTOR, '');
+
+// The first name listed for an emoticon or emoji is the one it turns back into
+const emoticonNames = _.invert(_.fromPairs(_.toPairs(emoticons).reverse()));
+const unicodeNames = {};
+_.forEachRight(_.toPairs(unicodeEmoji), ([name, character]) => {
+  unicodeNames[character] = name;
+  unicodeNames[withoutSelectors(character)] = name;
+});
+const toneNames = _.invert(SKIN_TONES);
+// Longest first, so emoji made of several characters aren't taken apart
+const UNICODE_REGEX = new RegExp(`(${_.sortBy(_.keys(unicodeNames), character => -character.length)
+  .map(_.escapeRegExp).join('|')})(\uFE0F)?(${_.values(SKIN_TONES).join('|')})?`, 'g');
+const SHORTCODE_REGEX = /:([\w+-]+):(?::(skin-tone-[2-6]):)?/g;
+
+/**
+ * How a Slack emoji is written on IRC: its emoticon if it has one, then its Unicode character,
+ * then the `custom` mode for workspace emoji, and the shortcode otherwise
+ * @param {string} name - e.g. `smile` or `+1::skin-tone-3`, as in reactions
+ * @param {object} [custom] - the workspace's emoji from `emoji.list`, name to URL or `alias:name`
+ * @param {string} [mode] - one of CUSTOM_EMOJI_MODES
+ * @return {string}
+ */
+export function emojiToIRC(name, custom = {}, mode = 'shortcode') {
+  const [shortcode, tone] = name.split('::');
+  const alias = _.has(custom, shortcode) && custom[shortcode].match(/^alias:(.+)$/);
+  const base = alias ? alias[1] : shortcode;
+  if (!tone && _.has(emoticons, base)) return emoticons[base];
+  if (_.has(unicodeEmoji, base)) return `${unicodeEmoji[base]}${SKIN_TONES[tone] || ''}`;
+  if (_.has(custom, base) && mode !== 'shortcode') return mode === 'url' ? custom[base] : '';
+  return `:${name}:`;
+}
+
+/**
+ * Replaces the `:shortcode:` emoji in Slack text with how they're written on IRC
+ * @param {string} text
+ * @param {object} [custom]
+ * @param {string} [mode]
+ * @return {string}
+ */
+export function shortcodesToIRC(text, custom, mode) {
+  return text.replace(SHORTCODE_REGEX, (match, name, tone) => (
+    emojiToIRC(tone ? `${name}::${tone}` : name, custom, mode)
+  ));
+}
+
+/**
+ * Replaces the Unicode emoji in IRC text with Slack shortcodes, e.g. `👍🏽` with `:+1::skin-tone-4:`
+ * @param {string} text
+ * @return {string}
+ */
+export function unicodeToSlack(text) {
+  return text.replace(UNICODE_REGEX, (match, character, selector, tone) => {
+    // Symbols like © are only meant as emoji when a variation selector asks for it
+    if (character.length === 1 && !selector && !tone) return match;
+    return `:${unicodeNames[character]}:${tone ? `:${toneNames[tone]}:` : ''}`;
+  });
+}
+
+/**
+ * The Slack emoji name for an emoji written on IRC, as an emoticon, a Unicode
+ * character or a `:shortcode:`
+ * @param {string} text
+ * @return {?string}
+ */
+export function slackEmojiName(text) {
+  const trimmed = text.trim();
+  if (_.has(emoticonNames, trimmed)) return emoticonNames[trimmed];
+  if (_.has(unicodeNames, trimmed)) return unicodeNames[trimmed];
+  const shortcode = unicodeToSlack(trimmed).match(/^:([\w+-]+):(?::(skin-tone-[2-6]):)?$/);
+  if (shortcode == null) return null;
+  return shortcode[2] ? `${shortcode[1]}::${shortcode[2]}` : shortcode[1];
+}
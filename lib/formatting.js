@@ -0,0 +1,151 @@
+/* eslint-disable no-control-regex */
+import _ from 'lodash';
+
+const BOLD = '\x02';
+const COLOR = '\x03';
+const HEX_COLOR = '\x04';
+const RESET = '\x0F';
+const MONOSPACE = '\x11';
+const REVERSE = '\x16';
+const ITALIC = '\x1D';
+const STRIKETHROUGH = '\x1E';
+const UNDERLINE = '\x1F';
+
+const TOGGLES = {
+  [BOLD]: 'bold',
+  [ITALIC]: 'italic',
+  [STRIKETHROUGH]: 'strike',
+  [MONOSPACE]: 'code',
+  [UNDERLINE]: 'underline',
+  [REVERSE]: 'reverse'
+};
+
+// Slack has no underline, reverse or colors. Colored text has always been shown as code.
+const SLACK_MARKERS = [['bold', '*'], ['italic', '_'], ['strike', '~']];
+
+const COLOR_CODE = /^\x03(\d{1,2}(,\d{1,2})?)?/;
+const HEX_COLOR_CODE = /^\x04([0-9a-f]{6}(,[0-9a-f]{6})?)?/i;
+const CONTROL_CODES = /\x03(\d{1,2}(,\d{1,2})?)?|\x04([0-9a-f]{6}(,[0-9a-f]{6})?)?|[\x02\x0F\x11\x16\x1D\x1E\x1F]/gi;
+
+/**
+ * Splits IRC text into runs of plain text, each with the formatting active at that point
+ * @param  {string} text
+ * @return {{ text: string, style: object }[]}
+ */
+export function tokenizeIRC(text) {
+  const tokens = [];
+  let style = {};
+  let current = '';
+  const flush = () => {
+    if (current) tokens.push({ text: current, style });
+    current = '';
+  };
+
+  let rest = text;
+  while (rest.length > 0) {
+    const char = rest[0];
+    if (TOGGLES[char]) {
+      flush();
+      style = { ...style, [TOGGLES[char]]: !style[TOGGLES[char]] };
+      rest = rest.slice(1);
+    } else if (char === COLOR || char === HEX_COLOR) {
+      flush();
+      const match = rest.match(char === COLOR ? COLOR_CODE : HEX_COLOR_CODE);
+      // A bare color code ends the color
+      style = { ...style, color: match[1] != null };
+      rest = rest.slice(match[0].length);
+    } else if (char === RESET) {
+      flush();
+      style = {};
+      rest = rest.slice(1);
+    } else {
+      current += char;
+      rest = rest.slice(1);
+    }
+  }
+  flush();
+  return tokens;
+}
+
+/**
+ * Removes all IRC formatting control codes
+ * @return {string}
+ */
+export function stripIRCFormatting(text) {
+  return text.replace(CONTROL_CODES, '');
+}
+
+// Slack only recognises markers around non-whitespace, so keep surrounding whitespace outside
+function wrap(text, open, close = open) {
+  const [, leading, inner, trailing] = text.match(/^(\s*)([^]*?)(\s*)$/);
+  return inner ? `${leading}${open}${inner}${close}${trailing}` : text;
+}
+
+/**
+ * Converts IRC formatting to Slack mrkdwn. Formatting that is never
+ * reset simply ends with the message.
+ * @return {string}
+ */
+export function ircToSlack(text) {
+  const tokens = tokenizeIRC(text);
+  // Merge neighbouring runs that end up with the same Slack formatting
+  const runs = tokens.reduce((merged, token) => {
+    const style = {
+      code: token.style.code || token.style.color,
+      ..._.pick(token.style, SLACK_MARKERS.map(([name]) => name))
+    };
+    const previous = _.last(merged);
+    if (previous && _.isEqual(_.pickBy(previous.style), _.pickBy(style))) {
+      previous.text += token.text;
+    } else {
+      merged.push({ text: token.text, style });
+    }
+    return merged;
+  }, []);
+
+  return runs.map(({ text: runText, style }) => {
+    // Formatting can't be nested inside Slack's inline code
+    if (style.code) return wrap(runText, '`');
+    return SLACK_MARKERS.reduce((wrapped, [name, marker]) => (
+      style[name] ? wrap(wrapped, marker) : wrapped
+    ), runText);
+  }).join('');
+}
+
+// Markers only count at word boundaries, which includes the codes of enclosing markers
+const boundary = '(^|[\\s([{"\'\x02\x1D\x1E])';
+const end = '(?=$|[\\s.,!?;:)\\]}"\'\x02\x1D\x1E])';
+const SLACK_PATTERNS = [
+  [new RegExp(`${boundary}\\*(\\S(?:[^*\\n]*?\\S)?)\\*${end}`, 'g'), BOLD],
+  [new RegExp(`${boundary}_(\\S(?:[^_\\n]*?\\S)?)_${end}`, 'g'), ITALIC],
+  [new RegExp(`${boundary}~(\\S(?:[^~\\n]*?\\S)?)~${end}`, 'g'), STRIKETHROUGH]
+];
+const INLINE_CODE = /(^|[^`])`([^`\n]+)`(?!`)/g;
+
+// Applies a replacement to everything outside inline code spans
+function outsideCode(text, replace) {
+  const parts = text.split(/(`[^`\n]+`)/);
+  return parts.map((part, index) => (index % 2 === 1 ? part : replace(part))).join('');
+}
+
+/**
+ * Converts Slack `*bold*`, `_italic_`, `~strike~` and inline code to IRC control codes
+ * @return {string}
+ */
+export function slackToIRC(text) {
+  const styled = outsideCode(text, part => SLACK_PATTERNS.reduce((converted, [regex, code]) => (
+    converted.replace(regex, (match, before, inner) => `${before}${code}${inner}${code}`)
+  ), part));
+  return styled.replace(INLINE_CODE, (match, before, code) => `${before}${MONOSPACE}${code}${MONOSPACE}`);
+}
+
+/**
+ * Removes Slack formatting markers, keeping the text they surround
+ * @return {string}
+ */
+export function stripSlackFormatting(text) {
+  const stripped = outsideCode(text, part => SLACK_PATTERNS.reduce((converted, [regex]) => (
+    converted.replace(regex, (match, before, inner) => `${before}${inner}`)
+  ), part));
+  return stripped.replace(INLINE_CODE, (match, before, code) => `${before}${code}`);
+}
@@ -0,0 +1,15 @@
+import _ from 'lodash';
+
+/**
+ * Turns a glob pattern (`*` and `?` wildcards) into an anchored, case-insensitive RegExp
+ * @param  {string} glob
+ * @return {RegExp}
+ */
+export default function globToRegExp(glob) {
+  const source = glob.split('').map((char) => {
+    if (char === '*') return '.*';
+    if (char === '?') return '.';
+    return _.escapeRegExp(char);
+  }).join('');
+  return new RegExp(`^${source}$`, 'i');
+}
@@ -1,6 +1,8 @@
 import _ from 'lodash';
 import Bot from './bot';
 import { ConfigurationError } from './errors';
+import globToRegExp from './glob';
+import renderTemplate from './templates';
 
 /**
  * Reads from the provided config file and returns an array of bots
@@ -49,3 +51,55 @@ export function highlightUsername(user, text) {
     return word;
   }).join(' ');
 }
+
+// Kept apart from the bot, so modules it imports can use them too
+export { globToRegExp, renderTemplate };
+
+// Hostname labels only hold lowercase letters, digits and dashes
+const hostLabel = text => text.toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * Renders the WEBIRC host of a Slack user's shadow client from a template
+ * with `$userid` and `$username`, e.g. `$userid.slack.example`
+ * @return {string}
+ */
+export function webircHost(template, userId, name) {
+  return renderTemplate(template, {
+    userid: hostLabel(userId),
+    username: hostLabel(name) || hostLabel(userId)
+  });
+}
+
+/**
+ * Describes an edit as a sed-style `s/old/new/` line, comparing word by word.
+ * Returns null if the edit changes too much of the message for a diff to be readable,
+ * or if nothing but whitespace changed.
+ * @return {?string}
+ */
+export function describeEdit(before, after) {
+  const oldWords = before.trim().split(/\s+/);
+  const newWords = after.trim().split(/\s+/);
+  const shortest = Math.min(oldWords.length, newWords.length);
+
+  let prefix = 0;
+  while (prefix < shortest && oldWords[prefix] === newWords[prefix]) prefix += 1;
+  let suffix = 0;
+  while (suffix < shortest - prefix
+    && oldWords[oldWords.length - 1 - suffix] === newWords[newWords.length - 1 - suffix]) {
+    suffix += 1;
+  }
+  if (prefix + suffix === oldWords.length && prefix + suffix === newWords.length) return null;
+
+  // Pure insertions need a word of context, otherwise there'd be nothing to substitute
+  if (prefix + suffix === oldWords.length) {
+    if (prefix > 0) prefix -= 1;
+    else suffix -= 1;
+  }
+
+  const removed = oldWords.slice(prefix, oldWords.length - suffix);
+  const added = newWords.slice(prefix, newWords.length - suffix);
+  if (removed.length * 2 > oldWords.length && oldWords.length > 2) return null;
+  // Escaped like in sed, so paths and URLs don't end the pattern early
+  const escape = words => words.join(' ').replace(/[\\/]/g, '\\$&');
+  return `s/${escape(removed)}/${escape(added)}/`;
+}
@@ -0,0 +1,94 @@
+import net from 'net';
+import logger from 'winston';
+
+const IDLE_TIMEOUT = 30 * 1000; // Milliseconds
+const MAX_QUERY_LENGTH = 1000;
+
+const isPort = port => Number.isInteger(port) && port > 0 && port < 65536;
+
+/**
+ * A minimal RFC 1413 ident server. The IRC server asks which user owns a connection,
+ * naming our local port and its own port; lookups added with `add` map those to a user
+ * name. Connections nobody claims get `ERROR : NO-USER`.
+ */
+class Identd {
+  constructor() {
+    this.lookups = [];
+    this.server = net.createServer(socket => this.handle(socket));
+  }
+
+  /**
+   * Adds a lookup, called with the local and remote port, returning a user name or undefined
+   */
+  add(lookup) {
+    this.lookups.push(lookup);
+  }
+
+  listen(port = 113, host) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        // Without an error listener, errors after this point would crash the process
+        this.server.on('error', (error) => { logger.error('Error on the ident server', error); });
+        logger.info(`Ident server listening on port ${this.server.address().port}`);
+        resolve(this.server.address().port);
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Answers a single query line, e.g. `6191, 6667`
+   * @return {string}
+   */
+  respond(query) {
+    const match = query.match(/^\s*(\d+)\s*,\s*(\d+)\s*$/);
+    if (match == null) return '0, 0 : ERROR : UNKNOWN-ERROR';
+
+    const localPort = Number(match[1]);
+    const remotePort = Number(match[2]);
+    const ports = `${localPort}, ${remotePort}`;
+    if (!isPort(localPort) || !isPort(remotePort)) return `${ports} : ERROR : INVALID-PORT`;
+
+    const userName = this.lookups.reduce((found, lookup) => found || lookup(localPort, remotePort), undefined);
+    return userName ? `${ports} : USERID : UNIX : ${userName}` : `${ports} : ERROR : NO-USER`;
+  }
+
+  handle(socket) {
+    let buffer = '';
+    socket.setEncoding('utf8');
+    socket.setTimeout(IDLE_TIMEOUT, () => socket.destroy());
+    socket.on('error', (error) => { logger.debug(`Error ${error} on ident connection`); });
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      const end = buffer.search(/\r?\n/);
+      if (end === -1 && buffer.length < MAX_QUERY_LENGTH) return;
+      const query = end === -1 ? buffer : buffer.slice(0, end);
+      logger.debug(`Ident query from ${socket.remoteAddress}: ${query}`);
+      socket.end(`${this.respond(query)}\r\n`);
+    });
+  }
+}
+
+const shared = {};
+
+/**
+ * Returns the ident server for a port, started on first use, so several bots
+ * in one process can answer for their connections on the same port
+ * @return {Identd}
+ */
+export function identdOnPort(port = 113, host) {
+  const key = `${host || '*'}:${port}`;
+  if (shared[key] == null) {
+    shared[key] = new Identd();
+    shared[key].listen(port, host)
+      .catch(error => logger.error(`Could not start the ident server on port ${port}`, error));
+  }
+  return shared[key];
+}
+
+export default Identd;
@@ -0,0 +1,70 @@
+import RelayStore from './relay-store';
+
+// Most messages asked for per channel, servers may allow fewer
+const MAX_HISTORY = 100;
+
+/**
+ * Describes a gap in the relayed IRC history, for when it can't be filled in
+ * @param {number} milliseconds
+ * @return {string}
+ */
+export function describeGap(milliseconds) {
+  const minutes = Math.max(1, Math.round(milliseconds / 60000));
+  return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'} of IRC history may be missing`;
+}
+
+/**
+ * Marks a message relayed from history with the time it was sent, e.g. `[history 14:02 UTC] `
+ * @param {number} time
+ * @return {string}
+ */
+export function historyLabel(time) {
+  return `[history ${new Date(time).toISOString().slice(11, 16)} UTC] `;
+}
+
+/**
+ * Remembers the last IRC message relayed from each channel, so after a reconnect the ones missed
+ * in between can be asked for with CHATHISTORY, and the ones relayed already are skipped
+ */
+class IRCHistory {
+  constructor() {
+    this.last = {};
+    this.relayedIds = new RelayStore();
+  }
+
+  /**
+   * @param {string} channel
+   * @param {number} time - the server-time of the message
+   * @param {string} [msgid] - the message ID tag, if the server sends them
+   */
+  record(channel, time, msgid) {
+    const key = channel.toLowerCase();
+    if (msgid) this.relayedIds.add(msgid, true);
+    if (this.last[key] == null || time >= this.last[key].time) this.last[key] = { time, msgid };
+  }
+
+  isRelayed(channel, time, msgid) {
+    if (msgid && this.relayedIds.has(msgid)) return true;
+    const last = this.last[channel.toLowerCase()];
+    if (last == null) return false;
+    // Messages sent in the same millisecond are told apart by their IDs
+    return msgid && last.msgid ? time < last.time : time <= last.time;
+  }
+
+  /**
+   * The CHATHISTORY command asking for what was said after the last relayed message,
+   * or since the given time if nothing was relayed from the channel yet
+   * @param {string} channel
+   * @param {number} since
+   * @param {number} [limit] - the server's limit from its CHATHISTORY token, 0 for none
+   * @return {string[]}
+   */
+  request(channel, since, limit) {
+    const last = this.last[channel.toLowerCase()];
+    let after = `timestamp=${new Date(since).toISOString()}`;
+    if (last != null) after = last.msgid ? `msgid=${last.msgid}` : `timestamp=${new Date(last.time).toISOString()}`;
+    return ['CHATHISTORY', 'AFTER', channel, after, String(Math.min(limit || MAX_HISTORY, MAX_HISTORY))];
+  }
+}
+
+export default IRCHistory;
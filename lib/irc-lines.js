@@ -0,0 +1,70 @@
+import _ from 'lodash';
+
+// RFC 1459 line length, including the trailing CRLF
+const IRC_LINE_BYTES = 512;
+// Room for the `nick!user@host` prefix the server adds when relaying our messages
+const HOSTMASK_BYTES = 100;
+
+const byteLength = text => Buffer.byteLength(text, 'utf8');
+
+/**
+ * Returns how many bytes of text fit in a single PRIVMSG to the given target
+ * @return {number}
+ */
+export function messageByteLimit(nick, target) {
+  const command = `:${nick}!@ PRIVMSG ${target} :\r\n`;
+  return IRC_LINE_BYTES - HOSTMASK_BYTES - byteLength(command);
+}
+
+// Splits a single word by code points, so multi-byte characters are never cut in half
+function splitWord(word, maxBytes) {
+  const chunks = [''];
+  Array.from(word).forEach((char) => {
+    const current = chunks[chunks.length - 1];
+    if (current && byteLength(current + char) > maxBytes) {
+      chunks.push(char);
+    } else {
+      chunks[chunks.length - 1] = current + char;
+    }
+  });
+  return chunks;
+}
+
+/**
+ * Splits a line into chunks of at most maxBytes UTF-8 bytes, on word boundaries where possible
+ * @return {string[]}
+ */
+export function splitByBytes(line, maxBytes) {
+  if (byteLength(line) <= maxBytes) return [line];
+
+  const chunks = [];
+  let current = '';
+  line.split(' ').forEach((word) => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (byteLength(candidate) <= maxBytes) {
+      current = candidate;
+      return;
+    }
+    if (current) chunks.push(current);
+    if (byteLength(word) <= maxBytes) {
+      current = word;
+    } else {
+      const pieces = splitWord(word, maxBytes);
+      chunks.push(...pieces.slice(0, -1));
+      current = _.last(pieces);
+    }
+  });
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Splits a (possibly multi-line) message into the lines to send to IRC, skipping blank lines
+ * @return {string[]}
+ */
+export function toIRCLines(text, maxBytes) {
+  return _.flatMap(
+    text.split(/\r\n|\r|\n/).filter(line => line.trim().length > 0),
+    line => splitByBytes(line, maxBytes)
+  );
+}
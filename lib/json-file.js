@@ -0,0 +1,38 @@
+import fs from 'fs';
+
+/**
+ * Reads and parses a JSON file, resolving with `fallback` if it doesn't exist yet
+ * @return {Promise}
+ */
+export function readJSONFile(path, fallback) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(path, 'utf8', (error, contents) => {
+      if (error && error.code === 'ENOENT') return resolve(fallback);
+      if (error) return reject(error);
+      try {
+        return resolve(JSON.parse(contents));
+      } catch (parseError) {
+        return reject(parseError);
+      }
+    });
+  });
+}
+
+/**
+ * Writes data as JSON through a temporary file, so the file is never left half written.
+ * Only the bridge's own user can read it, since it holds credentials and queued messages.
+ * @return {Promise}
+ */
+export function writeJSONFile(path, data) {
+  const temporary = `${path}.tmp`;
+  return new Promise((resolve, reject) => {
+    // The mode only applies to new files, so one left behind by a crash is removed first
+    fs.unlink(temporary, (unlinkError) => {
+      if (unlinkError && unlinkError.code !== 'ENOENT') return reject(unlinkError);
+      return fs.writeFile(temporary, JSON.stringify(data), { mode: 0o600 }, (error) => {
+        if (error) return reject(error);
+        return fs.rename(temporary, path, renameError => (renameError ? reject(renameError) : resolve()));
+      });
+    });
+  });
+}
@@ -0,0 +1,92 @@
+import _ from 'lodash';
+import globToRegExp from './glob';
+
+const REGEX_PATTERN = /^\/(.+)\/([gimsuy]*)$/;
+// Like the extban, `$a:name` matches IRC users logged in to the account `name`
+const ACCOUNT_PREFIX = '$a:';
+// Patterns are checked against every relayed message, so each is only parsed once
+const parsedPatterns = new Map();
+
+/**
+ * Parses a single mute entry, which can be an exact name, a glob,
+ * a `/regex/flags` literal or (on IRC) a `nick!user@host` hostmask or `$a:account`
+ * @param  {string} pattern
+ * @return {{ hostmask: boolean, account: boolean, test: function }}
+ */
+export function parseMutePattern(pattern) {
+  if (pattern.startsWith(ACCOUNT_PREFIX)) {
+    return { ...parseMutePattern(pattern.slice(ACCOUNT_PREFIX.length)), hostmask: false, account: true };
+  }
+
+  const regexMatch = pattern.match(REGEX_PATTERN);
+  if (regexMatch) {
+    const regex = new RegExp(regexMatch[1], regexMatch[2].replace('g', ''));
+    return { hostmask: false, account: false, test: value => regex.test(value) };
+  }
+
+  const hostmask = /[!@]/.test(pattern);
+  if (/[*?]/.test(pattern) || hostmask) {
+    const regex = globToRegExp(pattern);
+    return { hostmask, account: false, test: value => regex.test(value) };
+  }
+
+  const lowered = pattern.toLowerCase();
+  return { hostmask: false, account: false, test: value => value.toLowerCase() === lowered };
+}
+
+function parsed(pattern) {
+  if (!parsedPatterns.has(pattern)) parsedPatterns.set(pattern, parseMutePattern(pattern));
+  return parsedPatterns.get(pattern);
+}
+
+/**
+ * Returns why a mute entry can't be used, e.g. an invalid regex, or null if it's fine
+ * @param  {string} pattern
+ * @return {?string}
+ */
+export function invalidMutePattern(pattern) {
+  try {
+    parsed(pattern);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Returns true if any of the patterns match one of the given names
+ * @param  {string[]} patterns
+ * @param  {string[]} names
+ * @return {boolean}
+ */
+export function matchesAny(patterns, names) {
+  const candidates = _.compact(names);
+  return patterns.some((pattern) => {
+    const { test } = parsed(pattern);
+    return candidates.some(test);
+  });
+}
+
+/**
+ * Checks an IRC author against the mute list. Hostmask patterns are matched against
+ * the full `nick!user@host` prefix of the raw message, account patterns against the
+ * author's account, everything else against the nick.
+ * @param  {string[]} patterns
+ * @param  {string} nick
+ * @param  {object} [raw] - the raw irc message, if available
+ * @param  {string} [account] - the account the author is logged in to, if known
+ * @return {boolean}
+ */
+export function isMutedIRCUser(patterns, nick, raw, account) {
+  const hostmask = raw && raw.prefix;
+  return patterns.some((pattern) => {
+    const { account: isAccount, hostmask: isHostmask, test } = parsed(pattern);
+    if (isAccount) {
+      return account ? test(account) : false;
+    }
+    if (isHostmask) {
+      return hostmask ? test(hostmask) : false;
+    }
+    return test(nick);
+  });
+}
@@ -0,0 +1,16 @@
+/**
+ * Calls a cursor-paginated Slack Web API method until all pages are read,
+ * collecting the array found under `key` in each response
+ * @param  {function} method - e.g. `web.conversations.list`
+ * @param  {object} options
+ * @param  {string} key - e.g. `channels`
+ * @return {Promise<object[]>}
+ */
+export function fetchAllPages(method, options, key, collected = []) {
+  return method(options).then((resp) => {
+    const all = collected.concat(resp[key] || []);
+    const cursor = resp.response_metadata && resp.response_metadata.next_cursor;
+    if (!cursor) return all;
+    return fetchAllPages(method, { ...options, cursor }, key, all);
+  });
+}
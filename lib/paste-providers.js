@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import _ from 'lodash';
+import mime from 'mime-types';
+import request from 'request';
+import { ConfigurationError } from './errors';
+import { LocalUploader } from './uploaders';
+
+/*
+ * Paste providers hold code blocks, snippets and long messages from Slack for IRC users to read:
+ *   create({ filename, content, description }) resolves with the paste's URL
+ */
+
+const PASTE_TYPES = ['github', 'gitlab', 'http', 'local'];
+
+// Resolves with the parsed JSON body of a successful API call
+function postJSON(options) {
+  return new Promise((resolve, reject) => {
+    request.post({ ...options, json: true }, (error, res, body) => {
+      if (error != null) return reject(error);
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        return reject(new Error(`${options.url} returned ${res.statusCode}`));
+      }
+      return resolve(body);
+    });
+  });
+}
+
+/**
+ * Creates GitHub gists, secret unless `public` is set, with a personal access token
+ * that has the gist scope. `apiUrl` points to GitHub Enterprise instead.
+ * @param {object} options - `token`, `public` and `apiUrl`
+ */
+export class GitHubPasteProvider {
+  constructor({ token, public: isPublic = false, apiUrl = 'https://api.github.com' }) {
+    this.token = token;
+    this.public = isPublic;
+    this.apiUrl = apiUrl.replace(/\/$/, '');
+  }
+
+  create({ filename, content, description }) {
+    return postJSON({
+      url: `${this.apiUrl}/gists`,
+      headers: { authorization: `token ${this.token}`, 'user-agent': 'slack-irc' },
+      body: { description, public: this.public, files: { [filename]: { content } } }
+    }).then(body => body.html_url);
+  }
+}
+
+/**
+ * Creates GitLab snippets with a personal access token that has the api scope. They're public by
+ * default, since IRC users can't open internal or private snippets without an account.
+ * @param {object} options - `token`, `url` of the GitLab instance and `visibility`
+ */
+export class GitLabPasteProvider {
+  constructor({ token, url = 'https://gitlab.com', visibility = 'public' }) {
+    this.token = token;
+    this.url = url.replace(/\/$/, '');
+    this.visibility = visibility;
+  }
+
+  create({ filename, content, description }) {
+    return postJSON({
+      url: `${this.url}/api/v4/snippets`,
+      headers: { 'private-token': this.token },
+      body: {
+        title: description, visibility: this.visibility, files: [{ file_path: filename, content }]
+      }
+    }).then(body => body.web_url);
+  }
+}
+
+/**
+ * Posts the content as the form field `field` to any pastebin at `url`. The paste's URL is
+ * the response body, or the `urlField` of a JSON response, e.g. `data.url`.
+ * @param {object} options - `url`, `field`, `urlField` and extra `headers`
+ */
+export class HTTPPasteProvider {
+  constructor({
+    url, field = 'content', urlField, headers = {}
+  }) {
+    this.url = url;
+    this.field = field;
+    this.urlField = urlField;
+    this.headers = headers;
+  }
+
+  create({ content }) {
+    return new Promise((resolve, reject) => {
+      request.post({ url: this.url, headers: this.headers, form: { [this.field]: content } }, (error, res, body) => {
+        if (error != null) return reject(error);
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          return reject(new Error(`${this.url} returned ${res.statusCode}`));
+        }
+        try {
+          const pasteUrl = this.urlField ? _.get(JSON.parse(body), this.urlField) : body.trim();
+          return pasteUrl ? resolve(pasteUrl) : reject(new Error(`${this.url} returned no paste URL`));
+        } catch (parseError) {
+          return reject(parseError);
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Writes pastes to a local `directory` under unguessable names, linked to below `publicUrl`
+ * and served on `port` like files from the local uploader
+ * @param {object} options - `directory`, `publicUrl`, `port` and `host`
+ */
+export class LocalPasteProvider {
+  constructor(options) {
+    this.store = new LocalUploader(options);
+    this.port = options.port;
+  }
+
+  listen() {
+    return this.store.listen();
+  }
+
+  close() {
+    return this.store.close();
+  }
+
+  create({ filename, content }) {
+    // Files are shown in the browser when their type is known to be text
+    const name = mime.charset(mime.lookup(filename) || '') === 'UTF-8' ? filename : `${filename}.txt`;
+    const file = { id: crypto.randomBytes(8).toString('hex'), name };
+    return this.store.upload(file, Buffer.from(content));
+  }
+}
+
+/**
+ * Creates the paste provider for the `paste` option, by its `type`
+ * @param {object} options
+ */
+export function createPasteProvider(options) {
+  const { type } = options;
+  if (PASTE_TYPES.indexOf(type) === -1) {
+    throw new ConfigurationError(`paste.type must be one of ${PASTE_TYPES.join(', ')}`);
+  }
+  if ((type === 'github' || type === 'gitlab') && !options.token) {
+    throw new ConfigurationError(`The ${type} paste provider needs a token`);
+  }
+  if (type === 'http' && !options.url) {
+    throw new ConfigurationError('The http paste provider needs a url');
+  }
+  if (type === 'local' && !(options.directory && options.publicUrl)) {
+    throw new ConfigurationError('The local paste provider needs a directory and publicUrl');
+  }
+
+  switch (type) {
+    case 'gitlab':
+      return new GitLabPasteProvider(options);
+    case 'http':
+      return new HTTPPasteProvider(options);
+    case 'local':
+      return new LocalPasteProvider(options);
+    default:
+      return new GitHubPasteProvider(options);
+  }
+}
@@ -0,0 +1,154 @@
+import _ from 'lodash';
+import { ConfigurationError } from './errors';
+import { readJSONFile, writeJSONFile } from './json-file';
+
+/*
+ * Queue stores persist the messages waiting for a shadow IRC client, so they survive a restart.
+ * A store holds one queue per Slack user ID, mapping IRC channels to the queued messages:
+ *   load() resolves with `{ [userId]: { [ircChannel]: [message, ...] } }`
+ *   save(userId, queue) replaces what's stored for that user, an empty queue removes it
+ */
+
+const isEmptyQueue = queue => _.every(queue, messages => messages.length === 0);
+
+/**
+ * Saves made while a write is running are collected into the next write, so a burst of
+ * queued and sent messages doesn't rewrite the store once for every message.
+ * Subclasses implement write(changes), with changes mapping user IDs to their new queues.
+ */
+class BatchingQueueStore {
+  constructor() {
+    this.changes = null;
+    this.writing = Promise.resolve();
+  }
+
+  save(userId, queue) {
+    if (this.changes == null) {
+      this.changes = {};
+      // One write at a time, so an older snapshot never replaces a newer one
+      this.nextWrite = this.writing.catch(_.noop).then(() => {
+        const { changes } = this;
+        this.changes = null;
+        return this.write(changes);
+      });
+      this.writing = this.nextWrite;
+    }
+    this.changes[userId] = _.cloneDeep(queue);
+    return this.nextWrite;
+  }
+}
+
+/**
+ * Keeps all queues in a single JSON file, rewritten on every batch of changes
+ * @param {string} path
+ */
+export class JsonFileQueueStore extends BatchingQueueStore {
+  constructor(path) {
+    super();
+    this.path = path;
+    this.queues = null;
+  }
+
+  load() {
+    return this.read().then(() => _.cloneDeep(this.queues));
+  }
+
+  // The file is read once, before the first write, so saves never drop other users' queues
+  read() {
+    this.reading = this.reading || readJSONFile(this.path, {}).then((queues) => {
+      this.queues = queues;
+    });
+    return this.reading;
+  }
+
+  write(changes) {
+    return this.read().then(() => {
+      _.forOwn(changes, (queue, userId) => {
+        if (isEmptyQueue(queue)) {
+          delete this.queues[userId];
+        } else {
+          this.queues[userId] = queue;
+        }
+      });
+      return writeJSONFile(this.path, this.queues);
+    });
+  }
+}
+
+/**
+ * Keeps queued messages in a SQLite database, one row per message.
+ * Needs the optional `sqlite3` package.
+ * @param {string} path
+ */
+export class SqliteQueueStore extends BatchingQueueStore {
+  constructor(path) {
+    super();
+    // Only required when used, so the JSON store works without the native module
+    // eslint-disable-next-line global-require
+    const sqlite3 = require('sqlite3');
+    this.db = new sqlite3.Database(path);
+    this.ready = this.run(`CREATE TABLE IF NOT EXISTS queued_messages (
+      user_id TEXT NOT NULL,
+      irc_channel TEXT NOT NULL,
+      message TEXT NOT NULL
+    )`);
+    this.writing = this.ready;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  load() {
+    return this.ready.then(() => new Promise((resolve, reject) => {
+      this.db.all('SELECT user_id, irc_channel, message FROM queued_messages ORDER BY rowid', (error, rows) => {
+        if (error) return reject(error);
+        return resolve(rows.reduce((queues, row) => {
+          const queue = queues[row.user_id] || {};
+          queue[row.irc_channel] = queue[row.irc_channel] || [];
+          queue[row.irc_channel].push(JSON.parse(row.message));
+          queues[row.user_id] = queue; // eslint-disable-line no-param-reassign
+          return queues;
+        }, {}));
+      });
+    }));
+  }
+
+  write(changes) {
+    const statements = [];
+    _.forOwn(changes, (queue, userId) => {
+      statements.push(['DELETE FROM queued_messages WHERE user_id = ?', [userId]]);
+      _.forOwn(queue, (messages, channel) => messages.forEach((message) => {
+        statements.push(['INSERT INTO queued_messages (user_id, irc_channel, message) VALUES (?, ?, ?)',
+          [userId, channel, JSON.stringify(message)]]);
+      }));
+    });
+    // Each statement only runs once the one before it succeeded, so a failure rolls back the whole batch
+    return statements.reduce((previous, [sql, params]) => previous.then(() => this.run(sql, params)),
+      this.run('BEGIN'))
+      .then(() => this.run('COMMIT'))
+      .catch(error => this.run('ROLLBACK').catch(_.noop).then(() => { throw error; }));
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      this.db.close(error => (error ? reject(error) : resolve()));
+    });
+  }
+}
+
+/**
+ * Creates the queue store from the `messageQueue` config, or returns null when queues
+ * are only kept in memory. A custom store with `load` and `save` methods can be given directly.
+ * @param {object} config
+ */
+export function createQueueStore(config = {}) {
+  const { store, path } = config;
+  if (store == null || store === 'memory') return null;
+  if (_.isFunction(store.load) && _.isFunction(store.save)) return store;
+  if (store === 'json') return new JsonFileQueueStore(path || 'slack-irc-queues.json');
+  if (store === 'sqlite') return new SqliteQueueStore(path || 'slack-irc-queues.sqlite');
+  throw new ConfigurationError('messageQueue.store must be one of memory, json, sqlite');
+}
@@ -0,0 +1,69 @@
+import _ from 'lodash';
+
+const REACTION_DELAY = 5 * 1000; // Milliseconds
+
+/**
+ * Sums up reactions per user, e.g. `{ added: 'alice reacted 👍 🎉, bob reacted 👍', removed: null }`.
+ * Takes the reactions in the order they came in, as `{ name, emoji, count }`, where `count` is
+ * positive for added reactions and negative for removed ones.
+ * @return {{ added: ?string, removed: ?string }}
+ */
+export function describeReactions(reactions) {
+  const describe = (verb, selected) => {
+    if (selected.length === 0) return null;
+    const byUser = _.groupBy(selected, 'name');
+    return _.keys(byUser)
+      .map(name => `${name} ${verb} ${byUser[name].map(reaction => reaction.emoji).join(' ')}`)
+      .join(', ');
+  };
+  return {
+    added: describe('reacted', reactions.filter(reaction => reaction.count > 0)),
+    removed: describe('removed', reactions.filter(reaction => reaction.count < 0))
+  };
+}
+
+/**
+ * Collects reactions to a message until none came in for a while, so a burst of them
+ * is relayed as one line. Adding and removing the same reaction in between cancels out.
+ * @param {function} send - called with the message's context and the `describeReactions` summary
+ * @param {number} delay - milliseconds to wait for more reactions
+ */
+class ReactionDigest {
+  constructor(send, delay = REACTION_DELAY) {
+    this.send = send;
+    this.delay = delay;
+    this.pending = {};
+  }
+
+  /**
+   * @param {string} key - the message's Slack timestamp
+   * @param {object} context - passed on to `send`
+   * @param {string} name - who reacted
+   * @param {string} emoji - the reaction, as written on IRC
+   * @param {boolean} added - false for a removed reaction
+   */
+  add(key, context, name, emoji, added) {
+    const digest = this.pending[key] || { context, reactions: [] };
+    this.pending[key] = digest;
+    let reaction = _.find(digest.reactions, { name, emoji });
+    if (reaction == null) {
+      reaction = { name, emoji, count: 0 };
+      digest.reactions.push(reaction);
+    }
+    reaction.count += added ? 1 : -1;
+
+    clearTimeout(digest.timer);
+    digest.timer = setTimeout(() => this.flush(key), this.delay);
+  }
+
+  flush(key) {
+    const digest = this.pending[key];
+    if (digest == null) return;
+    delete this.pending[key];
+    clearTimeout(digest.timer);
+    const summary = describeReactions(digest.reactions);
+    if (summary.added != null || summary.removed != null) this.send(digest.context, summary);
+  }
+}
+
+export default ReactionDigest;
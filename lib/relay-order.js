@@ -0,0 +1,45 @@
+import _ from 'lodash';
+
+/**
+ * Runs relayed messages per key (an IRC channel) in the order of their time, even when an
+ * earlier message takes longer to prepare. With server-time that's the time the IRC server
+ * saw the message, so lookups in between or played back messages can't change the order.
+ */
+class RelayOrder {
+  constructor() {
+    this.queues = {};
+  }
+
+  /**
+   * Takes a place in the key's queue, sorted by time. Messages with the same time keep their
+   * arrival order. Call `release` on the returned ticket with the function to run on its turn,
+   * or without one to give up the place.
+   * @param {string} key
+   * @param {number} time
+   * @return {{ release: function }}
+   */
+  enter(key, time) {
+    this.queues[key] = this.queues[key] || [];
+    const queue = this.queues[key];
+    const ticket = { time, ready: false };
+    queue.splice(_.sortedLastIndexBy(queue, ticket, 'time'), 0, ticket);
+    ticket.release = (run) => {
+      if (ticket.ready) return;
+      ticket.ready = true;
+      ticket.run = run;
+      this.flush(key);
+    };
+    return ticket;
+  }
+
+  flush(key) {
+    const queue = this.queues[key];
+    while (queue.length > 0 && queue[0].ready) {
+      const { run } = queue.shift();
+      if (run) run();
+    }
+    if (queue.length === 0) delete this.queues[key];
+  }
+}
+
+export default RelayOrder;
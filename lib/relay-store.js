@@ -0,0 +1,42 @@
+/**
+ * Remembers the most recently relayed Slack messages, keyed by their Slack `ts`,
+ * so later edits, deletions and reactions can be matched to what IRC has seen.
+ * The oldest entries are dropped once `limit` is reached.
+ * @param {number} limit
+ */
+class RelayStore {
+  constructor(limit = 500) {
+    this.limit = limit;
+    this.messages = new Map();
+  }
+
+  add(ts, entry) {
+    // Re-inserting moves the entry to the back of the eviction order
+    this.messages.delete(ts);
+    this.messages.set(ts, entry);
+    while (this.messages.size > this.limit) {
+      this.messages.delete(this.messages.keys().next().value);
+    }
+    return entry;
+  }
+
+  get(ts) {
+    return this.messages.get(ts);
+  }
+
+  has(ts) {
+    return this.messages.has(ts);
+  }
+
+  remove(ts) {
+    const entry = this.messages.get(ts);
+    this.messages.delete(ts);
+    return entry;
+  }
+
+  get size() {
+    return this.messages.size;
+  }
+}
+
+export default RelayStore;
@@ -0,0 +1,109 @@
+import _ from 'lodash';
+import logger from 'winston';
+
+// RFC 2812 nicknames: a letter or special character, then letters, digits, specials or dashes
+const NICK_REGEX = /^[A-Za-z[\]\\`_^{|}][A-Za-z0-9[\]\\`_^{|}-]*$/;
+
+/**
+ * Checks a nick someone chose against IRC nick rules and the server's maximum length
+ * @return {boolean}
+ */
+export function isValidNick(nick, maxLength) {
+  return nick.length <= maxLength && NICK_REGEX.test(nick);
+}
+
+/**
+ * Assigns IRC nicks to Slack users for their shadow clients. The first choice is the
+ * Slack name with the nick suffix, or the nick the user picked with `.nick`; when that's
+ * taken by another Slack user, or the IRC server says it's in use, the user moves on to
+ * a numbered nick (`alice-sl2`, `alice-sl3`). Assignments are remembered per Slack user ID,
+ * so reconnecting keeps the same nick. Given the user settings, they're kept there too,
+ * so they outlive restarts.
+ * @param {string} suffix
+ * @param {number} maxLength
+ * @param {UserSettings} [settings]
+ */
+class ShadowNicks {
+  constructor(suffix = '-sl', maxLength = 16, settings = null) {
+    this.suffix = suffix;
+    this.maxLength = maxLength;
+    this.settings = settings;
+    this.assigned = {};
+  }
+
+  // Assignments made before a restart are read from the settings on first use
+  assignment(userId) {
+    if (this.assigned[userId] == null && this.settings != null) {
+      const { shadowNick } = this.settings.get(userId);
+      if (shadowNick != null) this.assigned[userId] = shadowNick;
+    }
+    return this.assigned[userId];
+  }
+
+  userIds() {
+    const stored = this.settings == null ? [] : this.settings.userIds();
+    return _.union(Object.keys(this.assigned), stored);
+  }
+
+  // Index 0 is the plain nick, the rest are numbered from 2 and shortened to fit
+  candidate(name, index = 0, suffix = this.suffix) {
+    const number = index === 0 ? '' : String(index + 1);
+    const base = name.replace(/\./g, '-')
+      .substr(0, this.maxLength - suffix.length - number.length);
+    return `${base}${suffix}${number}`;
+  }
+
+  // Chosen nicks are used as they are, without the suffix
+  nickAt({ slackName, preferred }, index) {
+    return preferred ? this.candidate(preferred, index, '') : this.candidate(slackName, index);
+  }
+
+  isTaken(nick, userId) {
+    return this.userIds().some(otherId => (
+      otherId !== userId && this.assignment(otherId) != null
+        && this.nickOf(otherId).toLowerCase() === nick.toLowerCase()
+    ));
+  }
+
+  nickOf(userId) {
+    const assigned = this.assignment(userId);
+    return this.nickAt(assigned, assigned.index);
+  }
+
+  assign(userId, slackName, preferred, start = 0) {
+    const source = { slackName, preferred };
+    let index = start;
+    while (this.isTaken(this.nickAt(source, index), userId)) index += 1;
+    this.assigned[userId] = { ...source, index };
+    if (this.settings != null) {
+      this.settings.update(userId, { shadowNick: this.assigned[userId] })
+        .catch((error) => { logger.error('Could not save the shadow nick', error); });
+    }
+    return index;
+  }
+
+  isCurrent(userId, slackName, preferred) {
+    const assigned = this.assignment(userId);
+    return assigned != null && assigned.slackName === slackName && assigned.preferred === preferred;
+  }
+
+  /**
+   * Returns the user's nick, assigning a free one if they're new or their name or chosen nick changed
+   * @return {string}
+   */
+  nickFor(userId, slackName, preferred) {
+    if (!this.isCurrent(userId, slackName, preferred)) this.assign(userId, slackName, preferred);
+    return this.nickOf(userId);
+  }
+
+  /**
+   * Moves the user on to the next free nick after theirs turned out to be in use
+   * @return {number} the index of the new nick
+   */
+  collided(userId, slackName, preferred) {
+    const start = this.isCurrent(userId, slackName, preferred) ? this.assignment(userId).index + 1 : 1;
+    return this.assign(userId, slackName, preferred, start);
+  }
+}
+
+export default ShadowNicks;
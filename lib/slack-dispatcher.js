@@ -0,0 +1,133 @@
+import _ from 'lodash';
+import logger from 'winston';
+import { WebAPIErrorCode } from '@slack/client';
+
+const PRIORITIES = ['interactive', 'bulk'];
+const MAX_BACKOFF = 30 * 1000; // Milliseconds
+
+// Network failures and Slack server errors are worth another try, anything else is final
+const isTransient = error => error.code === WebAPIErrorCode.RequestError
+  || (error.code === WebAPIErrorCode.HTTPError && error.statusCode >= 500);
+
+/**
+ * The calls for one channel, run one at a time with interactive replies first
+ */
+class Lane {
+  constructor(dispatcher, key) {
+    this.dispatcher = dispatcher;
+    this.key = key;
+    this.queues = { interactive: [], bulk: [] };
+    this.running = false;
+    this.pausedUntil = 0;
+  }
+
+  get size() {
+    return this.queues.interactive.length + this.queues.bulk.length;
+  }
+
+  drain() {
+    if (this.running) return;
+    if (this.size === 0) {
+      // Idle lanes are dropped, unless a rate limit still applies to the channel
+      if (this.pausedUntil <= Date.now()) delete this.dispatcher.lanes[this.key];
+      return;
+    }
+    this.running = true;
+    const wait = Math.max(0, this.pausedUntil - Date.now());
+    setTimeout(() => this.runNext(), wait);
+  }
+
+  runNext() {
+    const { web, maxRetries } = this.dispatcher;
+    const priority = this.queues.interactive.length > 0 ? 'interactive' : 'bulk';
+    const job = this.queues[priority].shift();
+    const done = () => {
+      this.running = false;
+      this.drain();
+    };
+
+    _.get(web, job.method)(job.options).then((resp) => {
+      job.resolve(resp);
+      done();
+    }, (error) => {
+      if (error.code === WebAPIErrorCode.RateLimitedError) {
+        logger.info(`Slack rate limited ${job.method}, waiting ${error.retryAfter} seconds`);
+        this.pausedUntil = Date.now() + (error.retryAfter * 1000);
+        this.queues[priority].unshift(job);
+      } else if (isTransient(error) && job.attempts < maxRetries) {
+        job.attempts += 1;
+        const backoff = Math.min(MAX_BACKOFF, 1000 * (2 ** (job.attempts - 1)));
+        logger.debug(`Error ${error} calling ${job.method}, retrying in ${backoff}ms`);
+        this.pausedUntil = Date.now() + backoff;
+        this.queues[priority].unshift(job);
+      } else {
+        logger.error(`Could not call ${job.method} on Slack`, error);
+        job.reject(error);
+      }
+      done();
+    });
+  }
+}
+
+/**
+ * Sends outbound Slack Web API calls one at a time per channel, so messages reach each
+ * channel in the order they were sent while busy channels don't hold up the others.
+ * Within a channel, interactive replies go ahead of bulk relay traffic. When Slack rate
+ * limits a call, that channel waits for `Retry-After`, and transient failures are retried
+ * with exponential backoff.
+ *
+ * The given WebClient should be created with `rejectRateLimitedCalls` and no retries,
+ * so rate limits and failures reach the dispatcher instead of being retried out of order.
+ * @param {WebClient} web
+ * @param {object} options
+ */
+class SlackDispatcher {
+  constructor(web, { maxRetries = 5, coalesceThreshold = 3 } = {}) {
+    this.web = web;
+    this.maxRetries = maxRetries;
+    this.coalesceThreshold = coalesceThreshold;
+    // Lanes by channel ID
+    this.lanes = {};
+  }
+
+  /**
+   * Queues a Web API call, e.g. `call('chat.postMessage', { channel, text })`.
+   * Consecutive bulk `chat.postMessage` calls with the same `coalesce` key are merged
+   * into one post while the channel is backed up.
+   * @return {Promise} resolves with the API response
+   */
+  call(method, options, { priority = 'bulk', coalesce } = {}) {
+    const key = options.channel || '';
+    this.lanes[key] = this.lanes[key] || new Lane(this, key);
+    const lane = this.lanes[key];
+    const queue = lane.queues[PRIORITIES.indexOf(priority) > -1 ? priority : 'bulk'];
+    // Only the last queued post can take more text, anything earlier would jump the queue
+    const previous = _.last(queue);
+    if (coalesce != null && previous && previous.coalesce === coalesce && queue.length >= this.coalesceThreshold) {
+      logger.debug(`Coalescing backed up Slack message for ${coalesce}`);
+      previous.options.text = `${previous.options.text}\n${options.text}`;
+      return previous.promise;
+    }
+
+    const job = {
+      method, options: { ...options }, coalesce, attempts: 0
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    queue.push(job);
+    lane.drain();
+    return job.promise;
+  }
+
+  post(options, settings) {
+    return this.call('chat.postMessage', options, settings);
+  }
+
+  get size() {
+    return _.sumBy(_.values(this.lanes), 'size');
+  }
+}
+
+export default SlackDispatcher;
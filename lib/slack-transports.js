@@ -0,0 +1,279 @@
+import crypto from 'crypto';
+import http from 'http';
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import logger from 'winston';
+import { RTMClient, WebClient } from '@slack/client';
+import { ConfigurationError } from './errors';
+import RelayStore from './relay-store';
+
+/*
+ * Transports deliver Slack events to the bot. Each is an EventEmitter that emits `open` once
+ * connected, `error`, and every Slack event under its type (`message`, `user_change`, ...):
+ *   start() resolves once the transport is starting up
+ *   activeUserId is the bot's own Slack user ID, set by start()
+ *   subscribePresence(userIds) asks for `presence_change` events, which only RTM delivers
+ */
+
+const TRANSPORT_TYPES = ['rtm', 'events', 'socket'];
+// Requests signed longer ago than this are rejected as possible replays
+const MAX_SIGNATURE_AGE = 5 * 60; // Seconds
+const RECONNECT_DELAY = 5 * 1000; // Milliseconds
+// Slack's event payloads are a few kilobytes, anything much larger isn't from Slack
+const MAX_BODY_SIZE = 1024 * 1024; // Bytes
+
+/**
+ * Checks the `X-Slack-Signature` of an Events API request
+ * @param {string} signingSecret
+ * @param {object} headers - the request headers, lower case
+ * @param {string} body - the raw request body
+ * @param {number} now - the current time in seconds
+ * @return {boolean}
+ */
+export function verifySignature(signingSecret, headers, body, now = Math.floor(Date.now() / 1000)) {
+  const timestamp = Number(headers['x-slack-request-timestamp']);
+  const signature = headers['x-slack-signature'] || '';
+  if (!timestamp || Math.abs(now - timestamp) > MAX_SIGNATURE_AGE) return false;
+
+  const hmac = crypto.createHmac('sha256', signingSecret).update(`v0:${timestamp}:${body}`).digest('hex');
+  const expected = Buffer.from(`v0=${hmac}`);
+  // timingSafeEqual throws on buffers of different lengths, which non-ASCII characters can cause
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Base for the transports that get events through the app's event subscriptions.
+ * Slack retries deliveries it thinks failed, so events are only emitted once per ID.
+ */
+class EventSubscriptionTransport extends EventEmitter {
+  constructor(web) {
+    super();
+    this.web = web;
+    this.seenEvents = new RelayStore();
+  }
+
+  identify() {
+    return this.web.auth.test().then((auth) => {
+      this.activeUserId = auth.user_id;
+    });
+  }
+
+  dispatch({ event_id: eventId, event }) {
+    if (event == null || this.seenEvents.has(eventId)) return;
+    this.seenEvents.add(eventId, true);
+    this.emit(event.type, event);
+  }
+
+  subscribePresence() { // eslint-disable-line class-methods-use-this
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Slack's Real Time Messaging API
+ * @param {string} token
+ */
+export class RTMTransport extends EventEmitter {
+  constructor(token) {
+    super();
+    this.rtm = new RTMClient(token);
+    this.rtm.on('slack_event', (type, event) => this.emit(type, event));
+    this.rtm.on('ready', () => this.emit('open'));
+    this.rtm.on('error', error => this.emit('error', error));
+  }
+
+  get activeUserId() {
+    return this.rtm.activeUserId;
+  }
+
+  start() {
+    return this.rtm.start();
+  }
+
+  subscribePresence(userIds) {
+    return this.rtm.subscribePresence(userIds);
+  }
+}
+
+/**
+ * Receives the Events API's HTTP requests, checking each against the app's signing secret
+ * @param {WebClient} web
+ * @param {object} options - `signingSecret`, and where to listen: `port`, `host` and `path`
+ */
+export class EventsAPITransport extends EventSubscriptionTransport {
+  constructor(web, {
+    signingSecret, port = 3000, host, path = '/slack/events'
+  }) {
+    super(web);
+    this.signingSecret = signingSecret;
+    this.port = port;
+    this.host = host;
+    this.path = path;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  start() {
+    return this.identify().then(() => new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.removeListener('error', reject);
+        logger.info(`Receiving Slack events on port ${this.server.address().port}${this.path}`);
+        this.emit('open');
+        resolve(this.server.address().port);
+      });
+    }));
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  handle(req, res) {
+    if (req.method !== 'POST' || req.url.split('?')[0] !== this.path) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    let body = '';
+    let size = 0;
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      if (size > MAX_BODY_SIZE) return;
+      size += Buffer.byteLength(chunk);
+      if (size > MAX_BODY_SIZE) {
+        body = '';
+        res.writeHead(413, { Connection: 'close' });
+        res.end();
+        return;
+      }
+      body += chunk;
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_SIZE) return;
+      if (!verifySignature(this.signingSecret, req.headers, body)) {
+        logger.debug(`Rejected a Slack event request from ${req.socket.remoteAddress} with a bad signature`);
+        res.writeHead(401);
+        res.end();
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        res.writeHead(400);
+        res.end();
+        return;
+      }
+
+      if (payload.type === 'url_verification') {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end(payload.challenge);
+        return;
+      }
+
+      // Slack wants an answer within three seconds, so events are handled after it
+      res.writeHead(200);
+      res.end();
+      if (payload.type === 'event_callback') this.dispatch(payload);
+    });
+  }
+}
+
+/**
+ * Receives events over a Socket Mode WebSocket, opened with an app-level token
+ * (`xapp-...`, with the `connections:write` scope)
+ * @param {WebClient} web
+ * @param {object} options - `appToken`
+ */
+export class SocketModeTransport extends EventSubscriptionTransport {
+  constructor(web, { appToken }) {
+    super(web);
+    this.appWeb = new WebClient(appToken);
+  }
+
+  start() {
+    return this.identify().then(() => this.connect());
+  }
+
+  connect() {
+    return this.appWeb.apiCall('apps.connections.open').then(({ url }) => {
+      const socket = new WebSocket(url);
+      socket.on('message', data => this.receive(socket, data));
+      socket.on('error', error => this.emit('error', error));
+      socket.on('close', () => {
+        // Replaced sockets are closed on purpose
+        if (socket !== this.socket) return;
+        logger.debug('Slack Socket Mode connection closed, reconnecting');
+        this.reconnect();
+      });
+      this.socket = socket;
+    });
+  }
+
+  reconnect() {
+    setTimeout(() => {
+      this.connect().catch((error) => {
+        logger.debug(`Error ${error} opening a Socket Mode connection`);
+        this.reconnect();
+      });
+    }, RECONNECT_DELAY);
+  }
+
+  receive(socket, data) {
+    let envelope;
+    try {
+      envelope = JSON.parse(data);
+    } catch (error) {
+      logger.debug(`Ignoring a malformed Socket Mode message: ${data}`);
+      return;
+    }
+
+    if (envelope.envelope_id) socket.send(JSON.stringify({ envelope_id: envelope.envelope_id }));
+    switch (envelope.type) {
+      case 'hello':
+        this.emit('open');
+        break;
+      case 'disconnect':
+        // Slack asks us to move to a new connection before it closes this one
+        this.connect()
+          .then(() => socket.close())
+          .catch((error) => { logger.debug(`Error ${error} replacing the Socket Mode connection`); });
+        break;
+      case 'events_api':
+        this.dispatch(envelope.payload);
+        break;
+      default:
+    }
+  }
+}
+
+/**
+ * Creates the transport named by the `transport` option, RTM by default
+ * @param {string} token - the bot token
+ * @param {WebClient} web
+ * @param {object} options
+ */
+export function createTransport(token, web, options = {}) {
+  const { type = 'rtm' } = options;
+  if (TRANSPORT_TYPES.indexOf(type) === -1) {
+    throw new ConfigurationError(`transport.type must be one of ${TRANSPORT_TYPES.join(', ')}`);
+  }
+  if (type === 'events' && !options.signingSecret) {
+    throw new ConfigurationError('The events transport needs the app\'s signingSecret');
+  }
+  if (type === 'socket' && !options.appToken) {
+    throw new ConfigurationError('The socket transport needs an appToken');
+  }
+
+  switch (type) {
+    case 'events':
+      return new EventsAPITransport(web, options);
+    case 'socket':
+      return new SocketModeTransport(web, options);
+    default:
+      return new RTMTransport(token);
+  }
+}
@@ -0,0 +1,11 @@
+import _ from 'lodash';
+
+/**
+ * Replaces `$variable` placeholders in a template, leaving unknown ones untouched
+ * @return {string}
+ */
+export default function renderTemplate(template, variables) {
+  return template.replace(/\$(\w+)/g, (match, key) => (
+    _.has(variables, key) ? variables[key] : match
+  ));
+}
@@ -0,0 +1,58 @@
+import renderTemplate from './templates';
+
+export const TOPIC_SYNC_MODES = ['off', 'irc-to-slack', 'slack-to-irc', 'both'];
+// Slack cuts channel topics off after this many characters
+const SLACK_TOPIC_LENGTH = 250;
+
+/**
+ * Decides which topic changes are mirrored to the other side of a channel mapping, and how.
+ * Mirrored topics are wrapped in the format for the side they're set on: the mapping's
+ * `slackTopicFormat` for IRC topics going to Slack, e.g. `$topic (via IRC)`, and
+ * `ircTopicFormat` for Slack topics going to IRC.
+ * The topics it mirrored are remembered, so their echoes from the other side aren't
+ * mirrored back again.
+ */
+class TopicSync {
+  constructor() {
+    this.mirrored = {};
+  }
+
+  /**
+   * The Slack topic for a new IRC topic, or null if it shouldn't be mirrored
+   * @param {string} ircChannel
+   * @param {string} topic
+   * @param {object} options - the mapping's `topicSync` mode and `slackTopicFormat`
+   * @return {?string}
+   */
+  toSlack(ircChannel, topic, options) {
+    return this.mirror(ircChannel, 'irc', 'slack', topic, options) || null;
+  }
+
+  /**
+   * The IRC topic for a new Slack topic, or null if it shouldn't be mirrored
+   * @param {string} ircChannel
+   * @param {string} topic
+   * @param {object} options - the mapping's `topicSync` mode and `ircTopicFormat`
+   * @return {?string}
+   */
+  toIRC(ircChannel, topic, options) {
+    return this.mirror(ircChannel, 'slack', 'irc', topic, options) || null;
+  }
+
+  mirror(ircChannel, from, to, topic, { topicSync = 'off', ...formats }) {
+    if (topicSync !== 'both' && topicSync !== `${from}-to-${to}`) return '';
+    const key = ircChannel.toLowerCase();
+    this.mirrored[key] = this.mirrored[key] || {};
+    const mirrored = this.mirrored[key];
+    // A topic we set ourselves coming back
+    if (topic === mirrored[from]) return '';
+
+    const formatted = renderTemplate(formats[`${to}TopicFormat`] || '$topic', { topic })
+      .slice(0, to === 'slack' ? SLACK_TOPIC_LENGTH : undefined);
+    if (formatted === mirrored[to]) return '';
+    mirrored[to] = formatted;
+    return formatted;
+  }
+}
+
+export default TopicSync;
@@ -0,0 +1,225 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { URL } from 'url';
+import aws4 from 'aws4';
+import mime from 'mime-types';
+import request from 'request';
+import logger from 'winston';
+import { ConfigurationError } from './errors';
+import globToRegExp from './glob';
+
+/*
+ * Uploaders put files shared on Slack somewhere IRC users can open them without a Slack account:
+ *   accepts(file) tells whether the backend takes a Slack file, by its size and MIME type
+ *   upload(file, data) stores the downloaded Buffer and resolves with its public URL
+ */
+
+const UPLOADER_TYPES = ['imgur', 's3', 'local'];
+const MEGABYTE = 1024 * 1024;
+
+// Slack file IDs keep names from different uploads apart
+const storedName = file => `${file.id}-${file.name.replace(/[^\w.-]+/g, '_')}`;
+
+/**
+ * Limits shared by the backends: files over `maxSize` bytes, or with a MIME type
+ * none of the `mimeTypes` patterns (e.g. `image/*`) match, aren't uploaded
+ */
+class Uploader {
+  constructor({ maxSize, mimeTypes }) {
+    this.maxSize = maxSize;
+    this.mimePatterns = mimeTypes.map(globToRegExp);
+  }
+
+  accepts(file) {
+    const type = file.mimetype || 'application/octet-stream';
+    return (file.size == null || file.size <= this.maxSize) && this.mimePatterns.some(regex => regex.test(type));
+  }
+}
+
+/**
+ * Posts images to imgur anonymously, with the application's client ID
+ * @param {object} options - `clientId`
+ */
+export class ImgurUploader extends Uploader {
+  constructor({ clientId, maxSize = 10 * MEGABYTE, mimeTypes = ['image/*'] }) {
+    super({ maxSize, mimeTypes });
+    this.clientId = clientId;
+  }
+
+  upload(file, data) {
+    return new Promise((resolve, reject) => {
+      request.post({
+        url: 'https://api.imgur.com/3/image.json',
+        form: { image: data.toString('base64'), type: 'base64' },
+        headers: { authorization: `Client-ID ${this.clientId}` }
+      }, (error, res, body) => {
+        if (error != null) return reject(error);
+        try {
+          const json = JSON.parse(body);
+          if (!json.success) return reject(new Error(`imgur returned ${res.statusCode}`));
+          return resolve(json.data.link);
+        } catch (parseError) {
+          return reject(parseError);
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Puts files into an S3 bucket, or one on any S3-compatible object storage given as `endpoint`.
+ * Files are stored under `prefix` and linked to below `publicUrl`, the bucket's own URL by default.
+ * @param {object} options - `bucket`, `accessKeyId`, `secretAccessKey`, `region`, `endpoint`,
+ *   `prefix`, `publicUrl` and `acl`, e.g. "public-read" for buckets that use ACLs
+ */
+export class S3Uploader extends Uploader {
+  constructor({
+    bucket, accessKeyId, secretAccessKey, region = 'us-east-1', endpoint, prefix = '', publicUrl, acl,
+    maxSize = 25 * MEGABYTE, mimeTypes = ['*']
+  }) {
+    super({ maxSize, mimeTypes });
+    this.bucket = bucket;
+    this.credentials = { accessKeyId, secretAccessKey };
+    this.region = region;
+    // Path-style URLs work with every S3-compatible storage
+    this.endpoint = (endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/$/, '');
+    this.prefix = prefix;
+    this.publicUrl = (publicUrl || `${this.endpoint}/${bucket}`).replace(/\/$/, '');
+    this.acl = acl;
+  }
+
+  upload(file, data) {
+    const key = `${this.prefix}${storedName(file)}`;
+    const url = new URL(`${this.endpoint}/${this.bucket}/${key.split('/').map(encodeURIComponent).join('/')}`);
+    const headers = { 'Content-Type': file.mimetype || 'application/octet-stream' };
+    if (this.acl) headers['x-amz-acl'] = this.acl;
+    const signed = aws4.sign({
+      host: url.host,
+      path: url.pathname,
+      method: 'PUT',
+      service: 's3',
+      region: this.region,
+      headers,
+      body: data
+    }, this.credentials);
+
+    return new Promise((resolve, reject) => {
+      request.put({ url: url.href, headers: signed.headers, body: data }, (error, res) => {
+        if (error != null) return reject(error);
+        if (res.statusCode !== 200) return reject(new Error(`S3 returned ${res.statusCode} for ${key}`));
+        return resolve(`${this.publicUrl}${url.pathname.slice(this.bucket.length + 1)}`);
+      });
+    });
+  }
+}
+
+/**
+ * Writes files to a local `directory`, linked to below `publicUrl`. With a `port` the
+ * directory is served from there too, otherwise another web server has to do it.
+ * @param {object} options - `directory`, `publicUrl`, `port` and `host`
+ */
+export class LocalUploader extends Uploader {
+  constructor({
+    directory, publicUrl, port, host, maxSize = 25 * MEGABYTE, mimeTypes = ['*']
+  }) {
+    super({ maxSize, mimeTypes });
+    this.directory = directory;
+    this.publicUrl = publicUrl.replace(/\/$/, '');
+    this.port = port;
+    this.host = host;
+    this.server = http.createServer((req, res) => this.serve(req, res));
+  }
+
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.removeListener('error', reject);
+        logger.info(`Serving uploaded files on port ${this.server.address().port}`);
+        resolve(this.server.address().port);
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  upload(file, data) {
+    const name = storedName(file);
+    return new Promise((resolve, reject) => {
+      fs.mkdir(this.directory, (mkdirError) => {
+        if (mkdirError && mkdirError.code !== 'EEXIST') return reject(mkdirError);
+        return fs.writeFile(path.join(this.directory, name), data, (error) => {
+          if (error) return reject(error);
+          return resolve(`${this.publicUrl}/${name}`);
+        });
+      });
+    });
+  }
+
+  serve(req, res) {
+    const name = req.url.split('?')[0].slice(1);
+    // Stored names need no escaping, and nothing outside the directory is served
+    if ((req.method !== 'GET' && req.method !== 'HEAD') || !/^[\w-][\w.-]*$/.test(name)) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    const filePath = path.join(this.directory, name);
+    fs.stat(filePath, (error, stats) => {
+      if (error || !stats.isFile()) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      const type = mime.lookup(name) || 'application/octet-stream';
+      // Text, HTML and scripts included, is shown as plain text. Anything else a browser
+      // could run scripts in is downloaded instead of shown.
+      const isText = mime.charset(type) === 'UTF-8';
+      res.writeHead(200, {
+        'Content-Type': isText ? 'text/plain; charset=utf-8' : type,
+        'Content-Length': stats.size,
+        'Content-Disposition': isText || /^(image|audio|video)\/(?!svg)/.test(type) ? 'inline' : 'attachment',
+        'X-Content-Type-Options': 'nosniff'
+      });
+      if (req.method === 'HEAD') {
+        res.end();
+      } else {
+        fs.createReadStream(filePath).pipe(res);
+      }
+    });
+  }
+}
+
+/**
+ * Creates the uploader for the `uploads` option, by its `type`
+ * @param {object} options
+ * @return {Uploader}
+ */
+export function createUploader(options) {
+  const { type } = options;
+  if (UPLOADER_TYPES.indexOf(type) === -1) {
+    throw new ConfigurationError(`uploads.type must be one of ${UPLOADER_TYPES.join(', ')}`);
+  }
+  if (type === 'imgur' && !options.clientId) {
+    throw new ConfigurationError('The imgur uploader needs a clientId');
+  }
+  if (type === 's3' && !(options.bucket && options.accessKeyId && options.secretAccessKey)) {
+    throw new ConfigurationError('The s3 uploader needs a bucket, accessKeyId and secretAccessKey');
+  }
+  if (type === 'local' && !(options.directory && options.publicUrl)) {
+    throw new ConfigurationError('The local uploader needs a directory and publicUrl');
+  }
+
+  switch (type) {
+    case 's3':
+      return new S3Uploader(options);
+    case 'local':
+      return new LocalUploader(options);
+    default:
+      return new ImgurUploader(options);
+  }
+}
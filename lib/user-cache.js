@@ -0,0 +1,65 @@
+import _ from 'lodash';
+import logger from 'winston';
+import { fetchAllPages } from './pagination';
+
+const PAGE_SIZE = 200;
+
+/**
+ * Caches Slack user profiles, so relaying a message, a typing event or a mention
+ * doesn't need a `users.info` call. Filled from `users.list` on connect and kept up
+ * to date from RTM events; entries older than `ttl` seconds are fetched again.
+ * @param {WebClient} web
+ * @param {number} ttl
+ */
+class UserCache {
+  constructor(web, ttl = 3600) {
+    this.web = web;
+    this.ttl = ttl * 1000;
+    this.users = {};
+    this.pending = {};
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  load() {
+    return fetchAllPages(this.web.users.list, { limit: PAGE_SIZE }, 'members').then((users) => {
+      users.forEach(user => this.set(user));
+      logger.debug(`Loaded ${users.length} Slack users`, this.stats());
+    });
+  }
+
+  get(id) {
+    const cached = this.users[id];
+    if (cached != null && Date.now() - cached.at < this.ttl) {
+      this.hits += 1;
+      return Promise.resolve(cached.user);
+    }
+
+    this.misses += 1;
+    logger.debug(`User cache miss for ${id}`, this.stats());
+    // Concurrent lookups of the same user share one request
+    if (this.pending[id] == null) {
+      this.pending[id] = this.web.users.info({ user: id }).then((resp) => {
+        delete this.pending[id];
+        return this.set(resp.user);
+      }, (error) => {
+        delete this.pending[id];
+        throw error;
+      });
+    }
+    return this.pending[id];
+  }
+
+  set(user) {
+    if (user == null || user.id == null) return user;
+    // Events like user_change carry a full user, so this replaces the cached one
+    this.users[user.id] = { user, at: Date.now() };
+    return user;
+  }
+
+  stats() {
+    return { hits: this.hits, misses: this.misses, size: _.size(this.users) };
+  }
+}
+
+export default UserCache;
@@ -0,0 +1,47 @@
+import _ from 'lodash';
+import { readJSONFile, writeJSONFile } from './json-file';
+
+/**
+ * Settings Slack users choose for their shadow IRC client, like their nick and NickServ
+ * credentials, kept in a JSON file by Slack user ID so they outlive `.reset` and restarts.
+ * @param {string} path
+ */
+class UserSettings {
+  constructor(path) {
+    this.path = path;
+    this.settings = {};
+    this.writing = Promise.resolve();
+  }
+
+  load() {
+    return readJSONFile(this.path, {}).then((settings) => {
+      this.settings = settings;
+    });
+  }
+
+  get(userId) {
+    return { ...this.settings[userId] };
+  }
+
+  userIds() {
+    return Object.keys(this.settings);
+  }
+
+  /**
+   * Merges changes into a user's settings, removing those set to null
+   * @return {Promise} resolves once the file is written
+   */
+  update(userId, changes) {
+    const updated = _.omitBy({ ...this.settings[userId], ...changes }, _.isNil);
+    if (_.isEmpty(updated)) {
+      delete this.settings[userId];
+    } else {
+      this.settings[userId] = updated;
+    }
+    const settings = { ...this.settings };
+    this.writing = this.writing.catch(_.noop).then(() => writeJSONFile(this.path, settings));
+    return this.writing;
+  }
+}
+
+export default UserSettings;
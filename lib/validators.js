@@ -1,5 +1,6 @@
 import _ from 'lodash';
 import { ConfigurationError } from './errors';
+import { SASL_MECHANISMS } from './cap-negotiation';
 
 /**
  * Validates a given channel mapping, throwing an error if it's invalid
@@ -11,5 +12,43 @@ export function validateChannelMapping(mapping) {
     throw new ConfigurationError('Invalid channel mapping given');
   }
 
+  // Each value is either the IRC channel, or an object holding it
+  // in `channel` alongside per-channel overrides
+  _.forOwn(mapping, (value, slackChannel) => {
+    const ircChannel = _.isPlainObject(value) ? value.channel : value;
+    if (!_.isString(ircChannel)) {
+      throw new ConfigurationError(`Invalid channel mapping given for ${slackChannel}`);
+    }
+  });
+
   return mapping;
 }
+
+/**
+ * Validates the SASL settings for the IRC bot, throwing an error if they're invalid
+ * @param  {Object} sasl
+ * @return {Object}
+ */
+export function validateSasl(sasl) {
+  if (!_.isPlainObject(sasl) || SASL_MECHANISMS.indexOf(sasl.mechanism) === -1) {
+    throw new ConfigurationError(`sasl.mechanism must be one of ${SASL_MECHANISMS.join(', ')}`);
+  }
+  if (sasl.mechanism === 'PLAIN' && !(sasl.account && sasl.password)) {
+    throw new ConfigurationError('SASL PLAIN needs both sasl.account and sasl.password');
+  }
+
+  return sasl;
+}
+
+/**
+ * Validates the WEBIRC gateway settings, throwing an error if they're invalid
+ * @param  {Object} webirc
+ * @return {Object}
+ */
+export function validateWebirc(webirc) {
+  if (!_.isPlainObject(webirc) || !webirc.password || !webirc.ip) {
+    throw new ConfigurationError('webirc needs a password and the ip to report for Slack users');
+  }
+
+  return webirc;
+}
@@ -22,7 +22,7 @@ describe('Bot', function () {
   const createBot = (cfg = config) => {
     const bot = new Bot(cfg);
     bot.slack = new SlackStub();
-    bot.slack.rtm.start = sandbox.stub();
+    bot.slack.transport.start = sandbox.stub();
     bot.slack.web.chat.postMessage = sandbox.stub();
     bot.connect();
     return bot;
@@ -60,7 +60,7 @@ describe('Bot', function () {
   });
 
   it('should send messages to slack groups if the bot is in the channel', function () {
-    this.bot.slack.rtm.dataStore.getChannelOrGroupByName = () => {
+    this.bot.slack.transport.dataStore.getChannelOrGroupByName = () => {
       const channel = new ChannelStub();
       delete channel.is_member;
       channel.is_group = true;
@@ -163,13 +163,13 @@ describe('Bot', function () {
   });
 
   it('should not send messages to slack if the bot isn\'t in the channel', function () {
-    this.bot.slack.rtm.dataStore.getChannelOrGroupByName = () => null;
+    this.bot.slack.transport.dataStore.getChannelOrGroupByName = () => null;
     this.bot.sendToSlack('user', '#irc', 'message');
     this.bot.slack.web.chat.postMessage.should.not.have.been.called;
   });
 
   it('should not send messages to slack if the channel\'s is_member is false', function () {
-    this.bot.slack.rtm.dataStore.getChannelOrGroupByName = () => {
+    this.bot.slack.transport.dataStore.getChannelOrGroupByName = () => {
       const channel = new ChannelStub();
       channel.is_member = false;
       return channel;
@@ -309,7 +309,7 @@ describe('Bot', function () {
 
   it('should not send messages to irc if the channel isn\'t in the channel mapping',
   function () {
-    this.bot.slack.rtm.dataStore.getChannelGroupOrDMById = () => null;
+    this.bot.slack.transport.dataStore.getChannelGroupOrDMById = () => null;
     const message = {
       channel: 'wrongchannel'
     };
@@ -356,7 +356,7 @@ describe('Bot', function () {
   });
 
   it('should parse text from slack', function () {
-    this.bot.parseText('hi\nhi\r\nhi\r').should.equal('hi hi hi ');
+    this.bot.parseText('hi\nhi\r\nhi\r').should.equal('hi\nhi\nhi\n');
     this.bot.parseText('>><<').should.equal('>><<');
     this.bot.parseText('<!channel> <!group> <!everyone>')
       .should.equal('@channel @group @everyone');
@@ -385,7 +385,8 @@ describe('Bot', function () {
 
   it('should parse emojis correctly', function () {
     this.bot.parseText(':smile:').should.equal(':)');
-    this.bot.parseText(':train:').should.equal(':train:');
+    this.bot.parseText(':train:').should.equal('🚋');
+    this.bot.parseText(':partyparrot:').should.equal(':partyparrot:');
   });
 
   it('should hide usernames for commands', function () {
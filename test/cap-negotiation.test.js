@@ -0,0 +1,305 @@
+/* eslint-disable prefer-arrow-callback, no-unused-expressions */
+import { EventEmitter } from 'events';
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import {
+  authenticateLines, ircAccount, IRCV3_CAPS, negotiateCaps, parseTags
+} from '../lib/cap-negotiation';
+import { validateSasl } from '../lib/validators';
+
+chai.should();
+chai.use(sinonChai);
+
+class FakeClient extends EventEmitter {
+  constructor() {
+    super();
+    this.send = sinon.spy();
+    this.disconnect = sinon.spy();
+    this.handshake = sinon.spy();
+    this.opt = { userName: 'bot', webirc: { pass: '', ip: '', host: '' } };
+    this.nick = 'bot';
+    this.modeForPrefix = { '@': 'o', '+': 'v' };
+  }
+
+  // Stands in for irc-upd's character set conversion of everything received
+  convertEncoding(buffer) { // eslint-disable-line class-methods-use-this
+    return buffer;
+  }
+
+  // Stands in for irc-upd's handshake, which sends NICK and USER
+  _connectionHandler() { // eslint-disable-line no-underscore-dangle, class-methods-use-this
+    this.handshake();
+  }
+
+  receive(rawCommand, ...args) {
+    return this.receiveFrom(undefined, rawCommand, ...args);
+  }
+
+  receiveFrom(nick, rawCommand, ...args) {
+    const message = {
+      nick, command: rawCommand, rawCommand, commandType: 'normal', args
+    };
+    this.emit('raw', message);
+    return message;
+  }
+
+  sent() {
+    return this.send.args.map(args => args.join(' '));
+  }
+}
+
+describe('CAP Negotiation', function () {
+  const plain = { mechanism: 'PLAIN', account: 'bot', password: 'secret' };
+
+  it('should start negotiating before the handshake', function () {
+    const client = new FakeClient();
+    negotiateCaps(client, { sasl: plain });
+    client._connectionHandler(); // eslint-disable-line no-underscore-dangle
+    client.sent().should.deep.equal(['CAP LS 302']);
+    client.handshake.should.have.been.calledAfter(client.send);
+  });
+
+  it('should send WEBIRC ahead of negotiation', function () {
+    const client = new FakeClient();
+    const webirc = { pass: 'secret', ip: '192.0.2.1', host: 'u1.slack.example' };
+    client.opt.webirc = webirc;
+    negotiateCaps(client, { sasl: plain });
+    client._connectionHandler(); // eslint-disable-line no-underscore-dangle
+    client.sent().should.deep.equal(['WEBIRC secret bot u1.slack.example 192.0.2.1', 'CAP LS 302']);
+    client.opt.webirc.should.equal(webirc);
+  });
+
+  it('should log in with SASL PLAIN before ending negotiation', function () {
+    const client = new FakeClient();
+    const success = sinon.spy();
+    client.on('saslSuccess', success);
+    negotiateCaps(client, { sasl: plain });
+    client.receive('CAP', '*', 'LS', '*', 'multi-prefix sasl=PLAIN,EXTERNAL');
+    client.receive('CAP', '*', 'LS', 'away-notify');
+    client.receive('CAP', '*', 'ACK', 'sasl');
+    client.receive('AUTHENTICATE', '+');
+    client.receive('903', 'bot', 'SASL authentication successful');
+
+    client.sent().should.deep.equal([
+      'CAP REQ sasl',
+      'AUTHENTICATE PLAIN',
+      `AUTHENTICATE ${Buffer.from('bot\0bot\0secret').toString('base64')}`,
+      'CAP END'
+    ]);
+    success.should.have.been.calledOnce;
+    client.caps.authenticated.should.equal(true);
+  });
+
+  it('should log in with SASL EXTERNAL', function () {
+    const client = new FakeClient();
+    negotiateCaps(client, { sasl: { mechanism: 'EXTERNAL' } });
+    client.receive('CAP', '*', 'LS', 'sasl');
+    client.receive('CAP', '*', 'ACK', 'sasl');
+    client.receive('AUTHENTICATE', '+');
+    client.sent().should.include('AUTHENTICATE EXTERNAL');
+    client.sent().should.include('AUTHENTICATE +');
+  });
+
+  it('should hide handled messages from irc-upd', function () {
+    const client = new FakeClient();
+    negotiateCaps(client, { sasl: plain });
+    const message = client.receive('CAP', '*', 'ACK', 'sasl');
+    message.command.should.not.equal('CAP');
+  });
+
+  it('should report failures once and disconnect without registering', function () {
+    const client = new FakeClient();
+    const failed = sinon.spy();
+    client.on('saslFailed', failed);
+    negotiateCaps(client, { sasl: plain });
+    client.receive('CAP', '*', 'LS', 'sasl');
+    client.receive('CAP', '*', 'ACK', 'sasl');
+    client.receive('AUTHENTICATE', '+');
+    client.receive('904', 'bot', 'SASL authentication failed');
+    client.receive('906', 'bot', 'SASL authentication aborted');
+
+    failed.should.have.been.calledOnceWith('the server rejected the credentials');
+    client.disconnect.should.have.been.calledOnce;
+    client.sent().should.not.include('CAP END');
+  });
+
+  it('should fail when the server has no SASL', function () {
+    const client = new FakeClient();
+    const failed = sinon.spy();
+    client.on('saslFailed', failed);
+    negotiateCaps(client, { sasl: plain });
+    client.receive('CAP', '*', 'LS', 'multi-prefix');
+    failed.should.have.been.calledOnceWith('the server does not support SASL');
+  });
+
+  it('should fail when registered without logging in', function () {
+    const client = new FakeClient();
+    const failed = sinon.spy();
+    client.on('saslFailed', failed);
+    negotiateCaps(client, { sasl: plain });
+    const welcome = client.receive('001', 'bot', 'Welcome');
+    failed.should.have.been.calledOnce;
+    welcome.command.should.not.equal('001');
+  });
+
+  it('should end negotiation when no capabilities are wanted', function () {
+    const client = new FakeClient();
+    negotiateCaps(client);
+    client.receive('CAP', '*', 'LS', 'sasl');
+    client.sent().should.deep.equal(['CAP END']);
+  });
+
+  it('should split long credentials into 400 byte chunks', function () {
+    const lines = authenticateLines({ mechanism: 'PLAIN', account: 'a'.repeat(99), password: 'b'.repeat(100) });
+    lines.map(line => line.length).should.deep.equal([400, '+'.length]);
+    authenticateLines({ mechanism: 'EXTERNAL' }).should.deep.equal(['+']);
+  });
+
+  it('should validate SASL settings', function () {
+    validateSasl(plain).should.equal(plain);
+    (() => validateSasl({ mechanism: 'SCRAM' })).should.throw('sasl.mechanism must be one of');
+    (() => validateSasl({ mechanism: 'PLAIN', account: 'bot' })).should.throw('needs both');
+  });
+});
+
+describe('IRCv3 Capabilities', function () {
+  const enable = (client, caps) => {
+    negotiateCaps(client, { caps: IRCV3_CAPS });
+    client.receive('CAP', '*', 'LS', IRCV3_CAPS.join(' '));
+    client.receive('CAP', '*', 'ACK', caps.join(' '));
+  };
+
+  it('should request the offered capabilities', function () {
+    const client = new FakeClient();
+    negotiateCaps(client, { caps: IRCV3_CAPS });
+    client.receive('CAP', '*', 'LS', 'server-time multi-prefix sasl');
+    client.receive('CAP', '*', 'ACK', 'server-time multi-prefix');
+    client.sent().should.deep.equal(['CAP REQ server-time multi-prefix', 'CAP END']);
+    client.caps.enabled.should.deep.equal(['server-time', 'multi-prefix']);
+  });
+
+  it('should parse message tags', function () {
+    const line = '@time=2019-01-01T00:00:00.000Z;msgid=a\\sb\\:c;+draft/x :alice!a@h PRIVMSG #irc :hi';
+    parseTags(line).should.deep.equal({
+      tags: { time: '2019-01-01T00:00:00.000Z', msgid: 'a b;c', '+draft/x': '' },
+      line: ':alice!a@h PRIVMSG #irc :hi'
+    });
+    parseTags(':alice!a@h PRIVMSG #irc :hi').tags.should.deep.equal({});
+  });
+
+  it('should hand the tags of received lines to their parsed messages', function () {
+    const client = new FakeClient();
+    enable(client, ['server-time']);
+    const lines = ':alice!a@h PRIVMSG #irc :hi\r\n:bob!b@h PRIVMSG #irc :yo\r\n';
+    client.convertEncoding(`@time=2019-01-01T00:00:00.000Z ${lines}`).should.equal(lines);
+    client.receiveFrom('alice', 'PRIVMSG', '#irc', 'hi').tags.should.deep.equal({ time: '2019-01-01T00:00:00.000Z' });
+    client.receiveFrom('bob', 'PRIVMSG', '#irc', 'yo').tags.should.deep.equal({});
+  });
+
+  it('should leave incomplete lines for later', function () {
+    const client = new FakeClient();
+    enable(client, ['server-time']);
+    const partial = '@time=2019-01-01T00:00:00.000Z :alice!a@h PRI';
+    client.convertEncoding(partial).should.equal(partial);
+    client.receiveFrom('alice', 'PRIVMSG', '#irc', 'hi').tags.should.deep.equal({});
+  });
+
+  it('should report echoed messages instead of passing them on', function () {
+    const client = new FakeClient();
+    const echo = sinon.spy();
+    client.on('echo', echo);
+    enable(client, ['echo-message']);
+    const message = client.receiveFrom('bot', 'PRIVMSG', '#irc', 'hello');
+    echo.should.have.been.calledOnceWith('#irc', 'hello');
+    message.command.should.not.equal('PRIVMSG');
+    client.receiveFrom('alice', 'PRIVMSG', '#irc', 'hi').command.should.equal('PRIVMSG');
+  });
+
+  it('should track accounts', function () {
+    const client = new FakeClient();
+    enable(client, ['account-notify', 'extended-join']);
+    client.receiveFrom('alice', 'JOIN', '#irc', 'alice_account', 'Alice');
+    client.receiveFrom('bob', 'JOIN', '#irc', '*', 'Bob');
+    ircAccount(client, 'Alice').should.equal('alice_account');
+    (ircAccount(client, 'bob') === null).should.equal(true);
+
+    client.receiveFrom('bob', 'ACCOUNT', 'bobby');
+    client.receiveFrom('alice', 'NICK', 'ally');
+    ircAccount(client, 'bob').should.equal('bobby');
+    ircAccount(client, 'ally').should.equal('alice_account');
+    ircAccount(client, 'bob', { tags: { account: 'tagged' } }).should.equal('tagged');
+  });
+
+  it('should look up the accounts of a joined channel with WHOX', function () {
+    const client = new FakeClient();
+    enable(client, ['account-notify']);
+    client.receiveFrom('bot', 'JOIN', '#irc');
+    client.sent().should.include('WHO #irc %na');
+    client.receive('354', 'bot', 'carol', 'carol_account');
+    client.receive('354', 'bot', 'dave', '0');
+    ircAccount(client, 'carol').should.equal('carol_account');
+    (ircAccount(client, 'dave') === null).should.equal(true);
+  });
+
+  it('should track away messages', function () {
+    const client = new FakeClient();
+    enable(client, ['away-notify']);
+    client.receiveFrom('alice', 'AWAY', 'lunch');
+    client.caps.away.should.deep.equal({ alice: 'lunch' });
+    client.receiveFrom('alice', 'AWAY');
+    client.caps.away.should.deep.equal({});
+  });
+
+  it('should keep only the highest prefix of each name', function () {
+    const client = new FakeClient();
+    enable(client, ['multi-prefix']);
+    const names = client.receive('353', 'bot', '=', '#irc', '@+alice +bob carol');
+    names.args[3].should.equal('@alice +bob carol');
+  });
+
+  it('should collect batched messages', function () {
+    const client = new FakeClient();
+    const batched = sinon.spy();
+    client.on('batch', batched);
+    enable(client, ['batch', 'message-tags']);
+    client.receive('BATCH', '+b1', 'chathistory', '#irc');
+    client.convertEncoding('@batch=b1 :alice!a@h PRIVMSG #irc :hi\r\n');
+    const message = client.receiveFrom('alice', 'PRIVMSG', '#irc', 'hi');
+    client.receive('BATCH', '-b1');
+
+    batched.should.have.been.calledOnce;
+    const batch = batched.firstCall.args[0];
+    batch.type.should.equal('chathistory');
+    batch.params.should.deep.equal(['#irc']);
+    batch.messages.should.deep.equal([message]);
+    message.batch.should.equal(batch);
+  });
+
+  it('should only pass on played back history with its batch', function () {
+    const client = new FakeClient();
+    enable(client, ['batch', 'message-tags', 'draft/chathistory']);
+    client.receive('BATCH', '+h1', 'chathistory', '#irc');
+    client.convertEncoding('@batch=h1 :alice!a@h PRIVMSG #irc :earlier\r\n');
+    client.receiveFrom('alice', 'PRIVMSG', '#irc', 'earlier').command.should.not.equal('PRIVMSG');
+  });
+
+  it('should report tag-only messages from others', function () {
+    const client = new FakeClient();
+    const tagmsg = sinon.spy();
+    client.on('tagmsg', tagmsg);
+    enable(client, ['message-tags']);
+    client.convertEncoding('@+draft/react=:);+draft/reply=m1 :alice!a@h TAGMSG #irc\r\n');
+    const message = client.receiveFrom('alice', 'TAGMSG', '#irc');
+    tagmsg.should.have.been.calledOnceWith('#irc', { '+draft/react': ':)', '+draft/reply': 'm1' }, message);
+    client.receiveFrom('bot', 'TAGMSG', '#irc');
+    tagmsg.should.have.been.calledOnce;
+  });
+
+  it('should keep the ISUPPORT tokens', function () {
+    const client = new FakeClient();
+    enable(client, []);
+    client.receive('005', 'bot', 'CHATHISTORY=50', 'NETWORK=Example', 'WHOX', 'are supported by this server');
+    client.caps.isupport.should.deep.equal({ CHATHISTORY: '50', NETWORK: 'Example', WHOX: '' });
+  });
+});
@@ -0,0 +1,110 @@
+/* eslint-disable prefer-arrow-callback, no-unused-expressions */
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import logger from 'winston';
+import ChannelDirectory from '../lib/channel-directory';
+
+chai.should();
+chai.use(sinonChai);
+
+describe('Channel Directory', function () {
+  const sandbox = sinon.createSandbox();
+
+  beforeEach(function () {
+    sandbox.stub(logger, 'debug');
+    this.web = {
+      conversations: {
+        list: sandbox.stub(),
+        info: sandbox.stub(),
+        members: sandbox.stub()
+      }
+    };
+    this.web.conversations.list.onFirstCall().resolves({
+      channels: [{ id: 'C1', name: 'general' }],
+      response_metadata: { next_cursor: 'next' }
+    });
+    this.web.conversations.list.onSecondCall().resolves({
+      channels: [{ id: 'C2', name: 'random', is_member: true }],
+      response_metadata: { next_cursor: '' }
+    });
+    this.directory = new ChannelDirectory(this.web);
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('should read every page of the channel list', function () {
+    return this.directory.byName('random').then((channel) => {
+      channel.id.should.equal('C2');
+      this.web.conversations.list.should.have.been.calledTwice;
+      this.web.conversations.list.secondCall.args[0].cursor.should.equal('next');
+    });
+  });
+
+  it('should only list channels once', function () {
+    return this.directory.byName('general')
+      .then(() => this.directory.byName('random'))
+      .then(() => this.directory.byName('missing'))
+      .then((channel) => {
+        (channel === undefined).should.be.true;
+        this.web.conversations.list.should.have.been.calledTwice;
+      });
+  });
+
+  it('should follow renames', function () {
+    return this.directory.load().then(() => {
+      this.directory.update({ id: 'C1', name: 'renamed' });
+      return this.directory.byName('renamed');
+    }).then((channel) => {
+      channel.id.should.equal('C1');
+    });
+  });
+
+  it('should follow renames of channels with a normalized name', function () {
+    this.web.conversations.list.onFirstCall().resolves({
+      channels: [{ id: 'C1', name: 'general', name_normalized: 'general' }]
+    });
+    return this.directory.load().then(() => {
+      this.directory.update({ id: 'C1', name: 'renamed' });
+      return this.directory.byName('renamed');
+    }).then((channel) => {
+      channel.id.should.equal('C1');
+      return this.directory.byName('general');
+    }).then((channel) => {
+      (channel === undefined).should.be.true;
+    });
+  });
+
+  it('should look up unknown ids and cache them', function () {
+    this.web.conversations.info.resolves({ channel: { id: 'D1', is_im: true } });
+    return this.directory.byId('D1')
+      .then(() => this.directory.byId('D1'))
+      .then((channel) => {
+        channel.is_im.should.be.true;
+        this.web.conversations.info.should.have.been.calledOnce;
+      });
+  });
+
+  it('should track the bot joining and leaving', function () {
+    return this.directory.load().then(() => {
+      this.directory.memberJoined('C1', 'UBOT', 'UBOT');
+      this.directory.channels.C1.is_member.should.be.true;
+      this.directory.memberLeft('C1', 'UBOT', 'UBOT');
+      this.directory.channels.C1.is_member.should.be.false;
+    });
+  });
+
+  it('should keep cached members up to date', function () {
+    this.web.conversations.members.resolves({ members: ['U1'] });
+    return this.directory.memberIds('C1').then(() => {
+      this.directory.memberJoined('C1', 'U2', 'UBOT');
+      this.directory.memberLeft('C1', 'U1', 'UBOT');
+      return this.directory.memberIds('C1');
+    }).then((members) => {
+      members.should.deep.equal(['U2']);
+      this.web.conversations.members.should.have.been.calledOnce;
+    });
+  });
+});
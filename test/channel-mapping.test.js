@@ -19,6 +19,18 @@ describe('Channel Mapping', () => {
     (wrap).should.not.throw();
   });
 
+  it('should accept object mappings with a channel', () => {
+    const objectMapping = { '#channel': { channel: '#other', slackUsernameFormat: '$username' } };
+    const wrap = () => validateChannelMapping(objectMapping);
+    (wrap).should.not.throw();
+  });
+
+  it('should fail for object mappings without a channel', () => {
+    const wrongMapping = { '#channel': { slackUsernameFormat: '$username' } };
+    const wrap = () => validateChannelMapping(wrongMapping);
+    (wrap).should.throw('Invalid channel mapping given for #channel');
+  });
+
   it('should clear channel keys from the mapping', () => {
     const bot = new Bot(config);
     bot.channelMapping['#slack'].should.equal('#irc');
@@ -0,0 +1,54 @@
+/* eslint-disable prefer-arrow-callback */
+import chai from 'chai';
+import {
+  codeFilename, detectLanguage, extractCodeBlocks, fenceLanguage
+} from '../lib/code-blocks';
+
+chai.should();
+
+describe('Code Blocks', function () {
+  it('should extract every fenced block', function () {
+    const text = 'before ```python\nx = 1\n``` between ```ls -la``` after';
+    extractCodeBlocks(text).should.deep.equal([
+      { match: '```python\nx = 1\n```', code: 'x = 1', language: 'python' },
+      { match: '```ls -la```', code: 'ls -la', language: detectLanguage('ls -la') }
+    ]);
+    extractCodeBlocks('no code here, just ``````').should.deep.equal([]);
+  });
+
+  it('should honor languages named after the fence', function () {
+    fenceLanguage('Go').should.equal('go');
+    fenceLanguage('yml').should.equal('yaml');
+    (fenceLanguage('hello') === null).should.equal(true);
+    extractCodeBlocks('```rs\nlet x = 1;```')[0].language.should.equal('rust');
+    extractCodeBlocks('```hello\nworld```')[0].code.should.equal('hello\nworld');
+  });
+
+  it('should detect common languages', function () {
+    detectLanguage('package main\n\nfunc main() {\n\tx := 1\n}').should.equal('go');
+    detectLanguage('fn main() {\n    let mut x = 5;\n}').should.equal('rust');
+    detectLanguage('public class Foo {\n  public static void main(String[] args) {}\n}').should.equal('java');
+    detectLanguage('name: build\non:\n  push:\n    branches:\n      - master').should.equal('yaml');
+    detectLanguage('{"a": [1, 2], "b": null}').should.equal('json');
+    detectLanguage('SELECT id, name\nFROM users\nWHERE id = 1;').should.equal('sql');
+    detectLanguage('--- a/x.js\n+++ b/x.js\n@@ -1,2 +1,2 @@\n-foo\n+bar').should.equal('diff');
+    detectLanguage('def foo(x):\n    return x + 1').should.equal('python');
+  });
+
+  it('should not take other languages with `::` or `->` for Rust', function () {
+    detectLanguage('def add(a: int, b: int) -> int:\n    return a + b').should.equal('python');
+    detectLanguage('#include <iostream>\nint main() {\n  std::cout << "hi";\n}').should.not.equal('rust');
+    detectLanguage('module Foo\n  BAZ = 1\nend\nputs Foo::BAZ').should.not.equal('rust');
+    detectLanguage('<?php\n$x = Foo::bar();\necho $x;').should.not.equal('rust');
+    detectLanguage('impl Point {\n    fn x(&self) -> f64 { self.x }\n}').should.equal('rust');
+  });
+
+  it('should look past the HTML escapes in Slack text', function () {
+    extractCodeBlocks('```fn main() -&gt; i32 { 1 }```')[0].language.should.equal('rust');
+  });
+
+  it('should name files after their language', function () {
+    codeFilename('rust').should.equal('file.rs');
+    codeFilename('unknown').should.equal('file.txt');
+  });
+});
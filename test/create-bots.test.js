@@ -49,6 +49,21 @@ describe('Create Bots', function () {
     (wrap).should.throw('Invalid configuration file given');
   });
 
+  it('should throw if a mute pattern is invalid', function () {
+    const wrap = () => createBots({ ...singleTestConfig, muteUsers: { irc: ['/(/'] } });
+    (wrap).should.throw('muteUsers.irc entry /(/ can\'t be used: Invalid regular expression');
+  });
+
+  it('should throw if local uploads and pastes share a port', function () {
+    const local = { type: 'local', publicUrl: 'https://files.example.org', port: 3000 };
+    const wrap = () => createBots({
+      ...singleTestConfig,
+      uploads: { ...local, directory: 'uploads' },
+      paste: { ...local, directory: 'pastes' }
+    });
+    (wrap).should.throw('uploads and paste can\'t both be served on port 3000');
+  });
+
   it('should be possible to run it through require(\'slack-irc\')', function () {
     const bots = index(singleTestConfig);
     bots.length.should.equal(1);
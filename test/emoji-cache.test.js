@@ -0,0 +1,64 @@
+/* eslint-disable prefer-arrow-callback, no-unused-expressions */
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import logger from 'winston';
+import EmojiCache from '../lib/emoji-cache';
+
+chai.should();
+chai.use(sinonChai);
+
+describe('Emoji Cache', function () {
+  const sandbox = sinon.createSandbox();
+
+  beforeEach(function () {
+    sandbox.stub(logger, 'debug');
+    this.web = {
+      emoji: {
+        list: sandbox.stub().resolves({ emoji: { partyparrot: 'https://example.com/partyparrot.gif' } })
+      }
+    };
+    this.cache = new EmojiCache(this.web, 60);
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('should load custom emoji once', function () {
+    return Promise.all([this.cache.get(), this.cache.get()])
+      .then(() => this.cache.get())
+      .then((emoji) => {
+        emoji.should.deep.equal({ partyparrot: 'https://example.com/partyparrot.gif' });
+        this.web.emoji.list.should.have.been.calledOnce;
+      });
+  });
+
+  it('should load them again once they are too old', function () {
+    const clock = sandbox.useFakeTimers();
+    return this.cache.get().then(() => {
+      clock.tick(61 * 1000);
+      return this.cache.get();
+    }).then(() => {
+      this.web.emoji.list.should.have.been.calledTwice;
+    });
+  });
+
+  it('should relay without custom emoji if they cannot be loaded', function () {
+    this.web.emoji.list.rejects(new Error('missing_scope'));
+    return this.cache.get().then((emoji) => {
+      emoji.should.deep.equal({});
+      return this.cache.get();
+    }).then(() => {
+      this.web.emoji.list.should.have.been.calledOnce;
+    });
+  });
+
+  it('should apply emoji_changed events', function () {
+    return this.cache.get().then(() => {
+      this.cache.update({ subtype: 'add', name: 'shipit', value: 'alias:squirrel' });
+      this.cache.update({ subtype: 'remove', names: ['partyparrot'] });
+      this.cache.emoji.should.deep.equal({ shipit: 'alias:squirrel' });
+    });
+  });
+});
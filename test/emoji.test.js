@@ -0,0 +1,43 @@
+/* eslint-disable prefer-arrow-callback, no-unused-expressions */
+import chai from 'chai';
+import {
+  emojiToIRC, shortcodesToIRC, slackEmojiName, unicodeToSlack
+} from '../lib/emoji';
+
+chai.should();
+
+describe('Emoji', function () {
+  const custom = { partyparrot: 'https://emoji.slack-edge.com/partyparrot.gif', pp: 'alias:partyparrot' };
+
+  it('should write emoji as emoticons on IRC where possible', function () {
+    emojiToIRC('smile').should.equal(':)');
+    emojiToIRC('partyparrot').should.equal(':partyparrot:');
+  });
+
+  it('should write Unicode for other Slack emoji, with skin tones', function () {
+    emojiToIRC('tada').should.equal('🎉');
+    emojiToIRC('+1::skin-tone-4').should.equal('👍🏽');
+    shortcodesToIRC('ship it :+1::skin-tone-2: at 12:30:00').should.equal('ship it 👍🏻 at 12:30:00');
+  });
+
+  it('should handle custom emoji as configured', function () {
+    shortcodesToIRC(':partyparrot: :pp:', custom).should.equal(':partyparrot: :pp:');
+    shortcodesToIRC(':pp:', custom, 'url').should.equal(custom.partyparrot);
+    shortcodesToIRC('yay :partyparrot:', custom, 'drop').should.equal('yay ');
+    shortcodesToIRC(':unknown:', custom, 'drop').should.equal(':unknown:');
+  });
+
+  it('should turn Unicode emoji from IRC into Slack shortcodes', function () {
+    unicodeToSlack('nice 👍🏽 🎉').should.equal('nice :+1::skin-tone-4: :tada:');
+    unicodeToSlack('love ❤️').should.equal('love :heart:');
+    unicodeToSlack('© 2019').should.equal('© 2019');
+  });
+
+  it('should find the Slack name of IRC emoji', function () {
+    slackEmojiName(':)').should.equal('smile');
+    slackEmojiName(' :tada: ').should.equal('tada');
+    slackEmojiName('🎉').should.equal('tada');
+    slackEmojiName('👍🏻').should.equal('+1::skin-tone-2');
+    (slackEmojiName('great') === null).should.be.true;
+  });
+});
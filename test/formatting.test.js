@@ -0,0 +1,73 @@
+/* eslint-disable prefer-arrow-callback */
+import chai from 'chai';
+import {
+  ircToSlack, slackToIRC, stripIRCFormatting, stripSlackFormatting, tokenizeIRC
+} from '../lib/formatting';
+
+chai.should();
+
+describe('Formatting Conversion', function () {
+  describe('IRC to Slack', function () {
+    it('should convert bold, italics and strikethrough', function () {
+      ircToSlack('\x02bold\x02 \x1Ditalic\x1D \x1Estrike\x1E').should.equal('*bold* _italic_ ~strike~');
+    });
+
+    it('should close formatting that is never reset', function () {
+      ircToSlack('plain \x02bold to the end').should.equal('plain *bold to the end*');
+    });
+
+    it('should end all formatting on reset', function () {
+      ircToSlack('\x02\x1Dboth\x0F plain').should.equal('_*both*_ plain');
+    });
+
+    it('should show monospace and colored text as code', function () {
+      ircToSlack('\x11mono\x11').should.equal('`mono`');
+      ircToSlack('\x0304,12colored\x0F text').should.equal('`colored` text');
+      ircToSlack('\x0304red\x03 plain').should.equal('`red` plain');
+    });
+
+    it('should drop underline and reverse', function () {
+      ircToSlack('\x1Funder\x1F \x16reverse\x16').should.equal('under reverse');
+    });
+
+    it('should treat hex colors like colors', function () {
+      ircToSlack('\x04ff0000hex\x04 plain').should.equal('`hex` plain');
+    });
+
+    it('should keep whitespace outside of markers', function () {
+      ircToSlack('a\x02 b \x02c').should.equal('a *b* c');
+    });
+
+    it('should track the active style for each run of text', function () {
+      tokenizeIRC('a\x02b').should.deep.equal([
+        { text: 'a', style: {} },
+        { text: 'b', style: { bold: true } }
+      ]);
+    });
+
+    it('should strip all control codes', function () {
+      stripIRCFormatting('\x02\x0304,05a\x0F\x1Db\x04ff00ffc').should.equal('abc');
+    });
+  });
+
+  describe('Slack to IRC', function () {
+    it('should convert bold, italics, strikethrough and inline code', function () {
+      slackToIRC('*bold* _italic_ ~strike~ `code`')
+        .should.equal('\x02bold\x02 \x1Ditalic\x1D \x1Estrike\x1E \x11code\x11');
+    });
+
+    it('should convert nested formatting', function () {
+      slackToIRC('*_both_*').should.equal('\x02\x1Dboth\x1D\x02');
+    });
+
+    it('should leave markers inside words and code alone', function () {
+      slackToIRC('snake_case_name').should.equal('snake_case_name');
+      slackToIRC('`*not bold*`').should.equal('\x11*not bold*\x11');
+      slackToIRC('2 * 3 * 4').should.equal('2 * 3 * 4');
+    });
+
+    it('should strip formatting when asked to', function () {
+      stripSlackFormatting('*bold* and `code`').should.equal('bold and code');
+    });
+  });
+});
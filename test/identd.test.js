@@ -0,0 +1,66 @@
+/* eslint-disable prefer-arrow-callback */
+import net from 'net';
+import chai from 'chai';
+import sinon from 'sinon';
+import logger from 'winston';
+import Identd from '../lib/identd';
+
+chai.should();
+
+describe('Ident Server', function () {
+  const sandbox = sinon.createSandbox();
+
+  beforeEach(function () {
+    sandbox.stub(logger, 'info');
+    sandbox.stub(logger, 'debug');
+    sandbox.stub(logger, 'error');
+    this.identd = new Identd();
+    this.identd.add((localPort, remotePort) => (localPort === 6191 && remotePort === 6667 ? 'alice' : undefined));
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('should answer with the user name of a known connection', function () {
+    this.identd.respond('6191 , 6667').should.equal('6191, 6667 : USERID : UNIX : alice');
+  });
+
+  it('should return an error for unknown ports', function () {
+    this.identd.respond('6192, 6667').should.equal('6192, 6667 : ERROR : NO-USER');
+  });
+
+  it('should return an error for invalid ports', function () {
+    this.identd.respond('0, 6667').should.equal('0, 6667 : ERROR : INVALID-PORT');
+    this.identd.respond('6191, 70000').should.equal('6191, 70000 : ERROR : INVALID-PORT');
+    this.identd.respond('hello').should.equal('0, 0 : ERROR : UNKNOWN-ERROR');
+  });
+
+  it('should ask every lookup until one knows the connection', function () {
+    this.identd.add(localPort => (localPort === 7000 ? 'bob' : undefined));
+    this.identd.respond('7000, 6667').should.equal('7000, 6667 : USERID : UNIX : bob');
+  });
+
+  it('should answer queries over TCP', function () {
+    return this.identd.listen(0, '127.0.0.1').then(port => new Promise((resolve, reject) => {
+      let response = '';
+      const socket = net.connect(port, '127.0.0.1', () => socket.write('6191, 6667\r\n'));
+      socket.setEncoding('utf8');
+      socket.on('data', (chunk) => { response += chunk; });
+      socket.on('error', reject);
+      socket.on('end', () => resolve(response));
+    })).then((response) => {
+      response.should.equal('6191, 6667 : USERID : UNIX : alice\r\n');
+      return this.identd.close();
+    });
+  });
+
+  it('should log server errors once listening', function () {
+    const error = new Error('EMFILE');
+    return this.identd.listen(0, '127.0.0.1').then(() => {
+      this.identd.server.emit('error', error);
+      logger.error.calledWith('Error on the ident server', error).should.equal(true);
+      return this.identd.close();
+    });
+  });
+});
@@ -0,0 +1,48 @@
+/* eslint-disable prefer-arrow-callback */
+import chai from 'chai';
+import IRCHistory, { describeGap, historyLabel } from '../lib/irc-history';
+
+chai.should();
+
+describe('IRC History', function () {
+  const noon = Date.parse('2019-05-01T12:00:00.000Z');
+
+  it('should ask for the history after the last relayed message', function () {
+    const history = new IRCHistory();
+    history.record('#IRC', noon);
+    history.request('#irc', noon - 60000).should.deep.equal([
+      'CHATHISTORY', 'AFTER', '#irc', 'timestamp=2019-05-01T12:00:00.000Z', '100'
+    ]);
+    history.record('#irc', noon + 1000, 'msg2');
+    history.request('#irc', noon, 50).should.deep.equal(['CHATHISTORY', 'AFTER', '#irc', 'msgid=msg2', '50']);
+  });
+
+  it('should ask for the history since the given time when nothing was relayed', function () {
+    new IRCHistory().request('#irc', noon, 0).should.deep.equal([
+      'CHATHISTORY', 'AFTER', '#irc', 'timestamp=2019-05-01T12:00:00.000Z', '100'
+    ]);
+  });
+
+  it('should tell relayed messages apart', function () {
+    const history = new IRCHistory();
+    history.record('#irc', noon, 'msg1');
+    history.isRelayed('#irc', noon, 'msg1').should.equal(true);
+    history.isRelayed('#irc', noon - 1000, 'msg0').should.equal(true);
+    history.isRelayed('#irc', noon, 'msg2').should.equal(false);
+    history.isRelayed('#irc', noon + 1000, 'msg3').should.equal(false);
+    history.isRelayed('#other', noon - 1000).should.equal(false);
+  });
+
+  it('should compare times when messages have no IDs', function () {
+    const history = new IRCHistory();
+    history.record('#irc', noon);
+    history.isRelayed('#irc', noon).should.equal(true);
+    history.isRelayed('#irc', noon + 1).should.equal(false);
+  });
+
+  it('should describe gaps and label history', function () {
+    describeGap(20 * 1000).should.equal('1 minute of IRC history may be missing');
+    describeGap(5 * 60 * 1000).should.equal('5 minutes of IRC history may be missing');
+    historyLabel(noon).should.equal('[history 12:00 UTC] ');
+  });
+});
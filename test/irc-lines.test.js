@@ -0,0 +1,33 @@
+/* eslint-disable prefer-arrow-callback */
+import chai from 'chai';
+import { messageByteLimit, splitByBytes, toIRCLines } from '../lib/irc-lines';
+
+chai.should();
+
+describe('IRC Line Splitting', function () {
+  it('should keep lines that fit as they are', function () {
+    splitByBytes('short line', 20).should.deep.equal(['short line']);
+  });
+
+  it('should split long lines on word boundaries', function () {
+    splitByBytes('aaaa bbbb cccc dddd', 10).should.deep.equal(['aaaa bbbb', 'cccc dddd']);
+  });
+
+  it('should split words longer than the limit', function () {
+    splitByBytes('abcdefghij', 4).should.deep.equal(['abcd', 'efgh', 'ij']);
+  });
+
+  it('should not break multi-byte characters', function () {
+    const chunks = splitByBytes('ææææ', 5);
+    chunks.should.deep.equal(['ææ', 'ææ']);
+    chunks.forEach(chunk => Buffer.byteLength(chunk).should.be.at.most(5));
+  });
+
+  it('should keep each line of a multi-line message and drop blank ones', function () {
+    toIRCLines('first\n\nsecond\r\nthird', 100).should.deep.equal(['first', 'second', 'third']);
+  });
+
+  it('should leave room for the command and hostmask', function () {
+    messageByteLimit('nick', '#channel').should.be.below(512 - '#channel'.length);
+  });
+});
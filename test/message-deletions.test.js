@@ -0,0 +1,85 @@
+/* eslint-disable prefer-arrow-callback, no-unused-expressions */
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import logger from 'winston';
+import Bot from '../lib/bot';
+import config from './fixtures/single-test-config.json';
+
+chai.should();
+chai.use(sinonChai);
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Message Deletions', function () {
+  const sandbox = sinon.createSandbox();
+  const user = { id: 'U1', name: 'alice', profile: {} };
+
+  beforeEach(function () {
+    sandbox.stub(logger, 'debug');
+    this.bot = new Bot({ ...config, relayDeletions: true });
+    sandbox.stub(this.bot.userSettings, 'update').resolves();
+    sandbox.stub(this.bot, 'startAwayTimer');
+    sandbox.stub(this.bot, 'connectNewClient');
+    this.bot.ircClient = { nick: 'test', say: sandbox.spy(), notice: sandbox.spy() };
+    this.client = {
+      nick: 'alice-sl', connected: true, say: sandbox.spy(), notice: sandbox.spy()
+    };
+    this.bot.ircClients[user.id] = this.client;
+    this.bot.messageQueues[user.id] = {
+      '#irc': [{ ts: '1.0', channel: 'C1', text: 'first' }, { ts: '2.0', channel: 'C1', text: 'second' }]
+    };
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('should find queued messages by ts', function () {
+    this.bot.findQueuedMessage(user, '2.0').text.should.equal('second');
+    (this.bot.findQueuedMessage(user, '3.0') === undefined).should.be.true;
+    (this.bot.findQueuedMessage({ id: 'U2' }, '1.0') === undefined).should.be.true;
+  });
+
+  it('should drop deleted messages from the queue', function () {
+    this.bot.relayDeletion({ deleted_ts: '1.0' }, user);
+    this.bot.messageQueues[user.id]['#irc'].map(message => message.text).should.deep.equal(['second']);
+    this.client.notice.should.not.have.been.called;
+  });
+
+  it('should not send messages deleted while their text is prepared', function () {
+    let parsed;
+    sandbox.stub(this.bot, 'parseText').callsFake(text => new Promise((resolve) => {
+      parsed = () => resolve(text);
+    }));
+    this.bot.messageQueues[user.id]['#irc'].pop();
+    this.bot.sendMessagesToIRC(user);
+    this.bot.relayDeletion({ deleted_ts: '1.0' }, user);
+    parsed();
+    return flush().then(() => {
+      this.client.say.should.not.have.been.called;
+      this.client.notice.should.not.have.been.called;
+      this.bot.sendingMessages.should.deep.equal({});
+    });
+  });
+
+  it('should send a retraction for relayed messages', function () {
+    this.bot.messageQueues[user.id] = {};
+    this.bot.recordRelayed(user, '#irc', { ts: '1.0', channel: 'C1' }, 'the build is green');
+    this.bot.relayDeletion({ deleted_ts: '1.0' }, user);
+    return flush().then(() => {
+      this.client.notice.should.have.been.calledWith('#irc', 'message retracted: "the build is green"');
+    });
+  });
+
+  it('should send retractions through the bot instead of connecting a client', function () {
+    delete this.bot.ircClients[user.id];
+    this.bot.messageQueues[user.id] = {};
+    this.bot.recordRelayed(user, '#irc', { ts: '1.0', channel: 'C1' }, 'the build is green');
+    this.bot.relayDeletion({ deleted_ts: '1.0' }, user);
+    return flush().then(() => {
+      this.bot.connectNewClient.should.not.have.been.called;
+      this.bot.ircClient.notice.should.have.been.calledWith('#irc', '<alice> message retracted: "the build is green"');
+    });
+  });
+});
@@ -0,0 +1,30 @@
+/* eslint-disable prefer-arrow-callback */
+import chai from 'chai';
+import { describeEdit } from '../lib/helpers';
+
+chai.should();
+
+describe('Message Edit Descriptions', function () {
+  it('should describe replaced words', function () {
+    describeEdit('the build is red', 'the build is green').should.equal('s/red/green/');
+    describeEdit('fix teh bug now', 'fix the bug now').should.equal('s/teh/the/');
+  });
+
+  it('should include a word of context for insertions', function () {
+    describeEdit('hello', 'hello world').should.equal('s/hello/hello world/');
+    describeEdit('world', 'hello world').should.equal('s/world/hello world/');
+  });
+
+  it('should escape slashes in the edited words', function () {
+    describeEdit('see docs/setup.md', 'see docs/install.md').should.equal('s/docs\\/setup.md/docs\\/install.md/');
+    describeEdit('run C:\\bin now', 'run C:\\sbin now').should.equal('s/C:\\\\bin/C:\\\\sbin/');
+  });
+
+  it('should give up when most of the message changed', function () {
+    (describeEdit('a b c d e', 'a x y z e') === null).should.equal(true);
+  });
+
+  it('should ignore whitespace-only edits', function () {
+    (describeEdit('same  text', 'same text') === null).should.equal(true);
+  });
+});
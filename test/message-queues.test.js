@@ -0,0 +1,67 @@
+/* eslint-disable prefer-arrow-callback, no-unused-expressions */
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import logger from 'winston';
+import Bot from '../lib/bot';
+import config from './fixtures/single-test-config.json';
+
+chai.should();
+chai.use(sinonChai);
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Persisted Message Queues', function () {
+  const sandbox = sinon.createSandbox();
+  const user = { id: 'U1', name: 'alice', profile: {} };
+
+  beforeEach(function () {
+    sandbox.stub(logger, 'debug');
+    this.store = {
+      load: sandbox.stub().callsFake(() => new Promise((resolve) => {
+        this.loaded = () => resolve({ U1: { '#irc': [{ text: 'before restart', queuedAt: 1 }] } });
+      })),
+      save: sandbox.stub().resolves()
+    };
+    this.bot = new Bot({ ...config, messageQueue: { store: this.store } });
+    this.bot.userCache = { get: sandbox.stub().resolves(user) };
+    sandbox.stub(this.bot, 'sendMessagesToIRC');
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('should restore persisted messages ahead of ones queued since startup', function () {
+    this.bot.queuesRestored = this.bot.restoreMessageQueues();
+    this.bot.enqueue(user, '#irc', { text: 'after restart', queuedAt: 2 });
+    this.loaded();
+    return this.bot.queuesRestored.then(() => {
+      this.bot.messageQueues[user.id]['#irc'].map(message => message.text)
+        .should.deep.equal(['before restart', 'after restart']);
+    });
+  });
+
+  it('should not save before the persisted queues are restored', function () {
+    this.bot.queuesRestored = this.bot.restoreMessageQueues();
+    this.bot.enqueue(user, '#irc', { text: 'after restart', queuedAt: 2 });
+    return flush().then(() => {
+      this.store.save.should.not.have.been.called;
+      this.loaded();
+      return flush();
+    }).then(() => {
+      this.store.save.should.have.been.calledOnceWith('U1', {
+        '#irc': [{ text: 'before restart', queuedAt: 1 }, { text: 'after restart', queuedAt: 2 }]
+      });
+    });
+  });
+
+  it('should replay restored queues once they are loaded', function () {
+    this.bot.queuesRestored = this.bot.restoreMessageQueues();
+    const replayed = this.bot.replayMessageQueues();
+    this.loaded();
+    return replayed.then(() => {
+      this.bot.sendMessagesToIRC.should.have.been.calledOnceWith(user);
+    });
+  });
+});
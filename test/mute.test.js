@@ -0,0 +1,56 @@
+/* eslint-disable prefer-arrow-callback */
+import chai from 'chai';
+import globToRegExp from '../lib/glob';
+import {
+  invalidMutePattern, isMutedIRCUser, matchesAny
+} from '../lib/mute';
+
+chai.should();
+
+describe('Mute Lists', function () {
+  it('should match exact names case-insensitively', function () {
+    matchesAny(['Spammer'], ['spammer']).should.equal(true);
+    matchesAny(['spammer'], ['spammer2']).should.equal(false);
+  });
+
+  it('should match glob patterns', function () {
+    globToRegExp('bot-*').test('bot-github').should.equal(true);
+    globToRegExp('bot-?').test('bot-12').should.equal(false);
+    matchesAny(['*bot'], ['travisbot']).should.equal(true);
+  });
+
+  it('should match regex patterns', function () {
+    matchesAny(['/^ci-\\d+$/'], ['ci-42']).should.equal(true);
+    matchesAny(['/^CI$/'], ['ci']).should.equal(false);
+    matchesAny(['/^CI$/i'], ['ci']).should.equal(true);
+  });
+
+  it('should ignore missing candidate names', function () {
+    matchesAny(['*'], [undefined, null]).should.equal(false);
+  });
+
+  it('should match IRC hostmasks against the message prefix', function () {
+    const raw = { prefix: 'noisy!~noisy@bots.example.org' };
+    isMutedIRCUser(['*!*@bots.example.org'], 'noisy', raw).should.equal(true);
+    isMutedIRCUser(['*!*@other.example.org'], 'noisy', raw).should.equal(false);
+  });
+
+  it('should not match hostmasks when no prefix is known', function () {
+    isMutedIRCUser(['*!*@bots.example.org'], 'noisy').should.equal(false);
+    isMutedIRCUser(['noisy'], 'Noisy').should.equal(true);
+  });
+
+  it('should match account patterns against the author\'s account', function () {
+    isMutedIRCUser(['$a:spambot'], 'noisy', undefined, 'SpamBot').should.equal(true);
+    isMutedIRCUser(['$a:spam*'], 'noisy', undefined, 'spammer').should.equal(true);
+    isMutedIRCUser(['$a:spambot'], 'spambot').should.equal(false);
+    isMutedIRCUser(['$a:spambot'], 'noisy', undefined, 'alice').should.equal(false);
+  });
+
+  it('should explain why a pattern can\'t be used', function () {
+    invalidMutePattern('/(/').should.equal('Invalid regular expression: /(/: Unterminated group');
+    invalidMutePattern('$a:/[/').should.match(/^Invalid regular expression/);
+    (invalidMutePattern('/^ci-\\d+$/') === null).should.equal(true);
+    (invalidMutePattern('*!*@bots.example.org') === null).should.equal(true);
+  });
+});
@@ -0,0 +1,67 @@
+/* eslint-disable prefer-arrow-callback, no-unused-expressions */
+import chai from 'chai';
+import sinon from 'sinon';
+import logger from 'winston';
+import Bot from '../lib/bot';
+import config from './fixtures/single-test-config.json';
+
+chai.should();
+
+describe('Parsing Slack Text', function () {
+  const sandbox = sinon.createSandbox();
+
+  beforeEach(function () {
+    sandbox.stub(logger, 'debug');
+    this.bot = new Bot(config);
+    // Created by connect()
+    this.bot.userCache = { get: sandbox.stub().resolves({ id: 'U1', name: 'alice', profile: {} }) };
+    this.bot.emojiCache = { get: sandbox.stub().resolves({}) };
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('should keep the lines of multi-line messages', function () {
+    return this.bot.parseText('hi\nhi\r\nhi\r').then((text) => {
+      text.should.equal('hi\nhi\nhi\n');
+    });
+  });
+
+  it('should turn emoji into emoticons or Unicode', function () {
+    return Promise.all([':smile:', ':train:', ':+1::skin-tone-3:'].map(text => this.bot.parseText(text)))
+      .then(texts => texts.should.deep.equal([':)', '\u{1F68B}', '\u{1F44D}\u{1F3FC}']));
+  });
+
+  it('should write custom emoji the configured way', function () {
+    this.bot.emojiCache.get.resolves({ partyparrot: 'https://emoji.example.org/partyparrot.gif' });
+    return this.bot.parseText(':partyparrot: :nope:')
+      .then((text) => {
+        text.should.equal(':partyparrot: :nope:');
+        this.bot.customEmoji = 'url';
+        return this.bot.parseText(':partyparrot:');
+      })
+      .then(text => text.should.equal('https://emoji.example.org/partyparrot.gif'));
+  });
+
+  it('should send each line of a message as its own IRC line', function () {
+    const message = { text: 'one\n\ntwo\r\nthree' };
+    return this.bot.parseText(message.text)
+      .then(text => this.bot.ircLines(message, text, 'alice-sl', '#irc', '<alice> '))
+      .then(lines => lines.should.deep.equal(['<alice> one', '<alice> two', '<alice> three']));
+  });
+
+  it('should paste messages with more than ircMaxLines lines', function () {
+    this.bot.ircMaxLines = 2;
+    sandbox.stub(this.bot, 'createPaste').resolves('https://paste.example.org/1');
+    return this.bot.ircLines({}, 'one\ntwo\nthree', 'alice-sl', '#irc')
+      .then(lines => lines.should.deep.equal(['one', 'two', 'full message: https://paste.example.org/1']));
+  });
+
+  it('should paste every message with an ircMaxLines of 0', function () {
+    const bot = new Bot({ ...config, ircMaxLines: 0 });
+    sandbox.stub(bot, 'createPaste').resolves('https://paste.example.org/1');
+    return bot.ircLines({}, 'one', 'alice-sl', '#irc')
+      .then(lines => lines.should.deep.equal(['full message: https://paste.example.org/1']));
+  });
+});
@@ -0,0 +1,91 @@
+/* eslint-disable prefer-arrow-callback */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chai from 'chai';
+import sinon from 'sinon';
+import request from 'request';
+import {
+  createPasteProvider, GitHubPasteProvider, GitLabPasteProvider, HTTPPasteProvider, LocalPasteProvider
+} from '../lib/paste-providers';
+
+chai.should();
+
+const paste = { filename: 'file.py', content: 'print("hi")', description: 'Posted by alice in #dev on Slack' };
+
+describe('Paste Providers', function () {
+  const sandbox = sinon.createSandbox();
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('should check the options of each type', function () {
+    (() => createPasteProvider({ type: 'pastebin' }))
+      .should.throw('paste.type must be one of github, gitlab, http, local');
+    (() => createPasteProvider({ type: 'gitlab' })).should.throw('The gitlab paste provider needs a token');
+    (() => createPasteProvider({ type: 'http' })).should.throw('The http paste provider needs a url');
+    (() => createPasteProvider({ type: 'local', directory: '/tmp' }))
+      .should.throw('The local paste provider needs a directory and publicUrl');
+    createPasteProvider({ type: 'github', token: 'abc' }).should.be.an.instanceof(GitHubPasteProvider);
+  });
+
+  it('should create secret gists with a token', function () {
+    sandbox.stub(request, 'post').yields(null, { statusCode: 201 }, { html_url: 'https://gist.github.com/abc' });
+    return new GitHubPasteProvider({ token: 'abc' }).create(paste).then((url) => {
+      url.should.equal('https://gist.github.com/abc');
+      const options = request.post.firstCall.args[0];
+      options.url.should.equal('https://api.github.com/gists');
+      options.headers.authorization.should.equal('token abc');
+      options.body.should.deep.equal({
+        description: paste.description, public: false, files: { 'file.py': { content: 'print("hi")' } }
+      });
+    });
+  });
+
+  it('should create GitLab snippets', function () {
+    const answer = { web_url: 'https://gitlab.example.org/-/snippets/1' };
+    sandbox.stub(request, 'post').yields(null, { statusCode: 201 }, answer);
+    const provider = new GitLabPasteProvider({ token: 'abc', url: 'https://gitlab.example.org/' });
+    return provider.create(paste).then((url) => {
+      url.should.equal('https://gitlab.example.org/-/snippets/1');
+      const options = request.post.firstCall.args[0];
+      options.url.should.equal('https://gitlab.example.org/api/v4/snippets');
+      options.headers['private-token'].should.equal('abc');
+      options.body.title.should.equal(paste.description);
+      options.body.visibility.should.equal('public');
+    });
+  });
+
+  it('should fail when the API refuses the paste', function () {
+    sandbox.stub(request, 'post').yields(null, { statusCode: 401 }, { message: 'Bad credentials' });
+    return new GitHubPasteProvider({ token: 'abc' }).create(paste)
+      .then(() => { throw new Error('expected a rejection'); }, (error) => {
+        error.message.should.equal('https://api.github.com/gists returned 401');
+      });
+  });
+
+  it('should post to any pastebin', function () {
+    sandbox.stub(request, 'post').yields(null, { statusCode: 200 }, 'https://paste.example.org/x1\n');
+    return new HTTPPasteProvider({ url: 'https://paste.example.org', field: 'f:1' }).create(paste)
+      .then((url) => {
+        url.should.equal('https://paste.example.org/x1');
+        request.post.firstCall.args[0].form.should.deep.equal({ 'f:1': 'print("hi")' });
+      });
+  });
+
+  it('should read the paste URL from a JSON answer', function () {
+    sandbox.stub(request, 'post').yields(null, { statusCode: 200 }, '{"data":{"url":"https://paste.example.org/x2"}}');
+    return new HTTPPasteProvider({ url: 'https://paste.example.org', urlField: 'data.url' }).create(paste)
+      .then(url => url.should.equal('https://paste.example.org/x2'));
+  });
+
+  it('should write pastes to a local directory as text', function () {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'slack-irc-pastes-'));
+    const provider = new LocalPasteProvider({ directory, publicUrl: 'https://paste.example.org' });
+    return provider.create(paste).then((url) => {
+      url.should.match(/^https:\/\/paste\.example\.org\/[0-9a-f]{16}-file\.py\.txt$/);
+      fs.readFileSync(path.join(directory, url.split('/').pop()), 'utf8').should.equal('print("hi")');
+    });
+  });
+});
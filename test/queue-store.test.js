@@ -0,0 +1,150 @@
+/* eslint-disable prefer-arrow-callback */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chai from 'chai';
+import sinon from 'sinon';
+import {
+  createQueueStore, JsonFileQueueStore, SqliteQueueStore
+} from '../lib/queue-store';
+
+chai.should();
+
+const queue = {
+  '#irc': [{ text: 'first', queuedAt: 1 }, { text: 'second', queuedAt: 2 }],
+  '#other': [{ text: 'third', queuedAt: 3 }]
+};
+
+function sharedExamples(createStore) {
+  it('should load nothing from an empty store', function () {
+    return createStore().load().then(queues => queues.should.deep.equal({}));
+  });
+
+  it('should load saved queues in order', function () {
+    const store = createStore();
+    return store.save('U1', queue)
+      .then(() => store.save('U2', { '#irc': [{ text: 'other user' }] }))
+      .then(() => store.load())
+      .then((queues) => {
+        queues.U1.should.deep.equal(queue);
+        queues.U2['#irc'][0].text.should.equal('other user');
+      });
+  });
+
+  it('should replace what was saved for a user', function () {
+    const store = createStore();
+    return store.save('U1', queue)
+      .then(() => store.save('U1', { '#irc': [{ text: 'second', queuedAt: 2 }] }))
+      .then(() => store.load())
+      .then(queues => queues.should.deep.equal({ U1: { '#irc': [{ text: 'second', queuedAt: 2 }] } }));
+  });
+
+  it('should forget users whose queue is empty', function () {
+    const store = createStore();
+    return store.save('U1', queue)
+      .then(() => store.save('U1', { '#irc': [], '#other': [] }))
+      .then(() => store.load())
+      .then(queues => queues.should.deep.equal({}));
+  });
+
+  it('should write saves made during a write together', function () {
+    const store = createStore();
+    const write = sinon.spy(store, 'write');
+    store.save('U1', queue);
+    store.save('U2', queue);
+    return store.save('U1', { '#irc': [{ text: 'second', queuedAt: 2 }] })
+      .then(() => {
+        write.calledOnce.should.equal(true);
+        return store.load();
+      })
+      .then(queues => queues.should.deep.equal({ U1: { '#irc': [{ text: 'second', queuedAt: 2 }] }, U2: queue }));
+  });
+}
+
+describe('Queue Stores', function () {
+  let directory;
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'slack-irc-'));
+  });
+
+  afterEach(function () {
+    fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)));
+    fs.rmdirSync(directory);
+  });
+
+  describe('JSON file', function () {
+    sharedExamples(() => new JsonFileQueueStore(path.join(directory, 'queues.json')));
+
+    it('should keep queues across instances', function () {
+      const file = path.join(directory, 'queues.json');
+      return new JsonFileQueueStore(file).save('U1', queue)
+        .then(() => new JsonFileQueueStore(file).load())
+        .then(queues => queues.U1.should.deep.equal(queue));
+    });
+
+    it('should keep other users\' queues when saving before loading', function () {
+      const file = path.join(directory, 'queues.json');
+      return new JsonFileQueueStore(file).save('U1', queue)
+        .then(() => new JsonFileQueueStore(file).save('U2', { '#irc': [{ text: 'other user' }] }))
+        .then(() => new JsonFileQueueStore(file).load())
+        .then((queues) => {
+          queues.U1.should.deep.equal(queue);
+          queues.U2['#irc'][0].text.should.equal('other user');
+        });
+    });
+
+    it('should reject a corrupt file', function () {
+      const file = path.join(directory, 'queues.json');
+      fs.writeFileSync(file, '{');
+      return new JsonFileQueueStore(file).load().then(
+        () => { throw new Error('Expected load to fail'); },
+        error => error.should.be.an.instanceof(SyntaxError)
+      );
+    });
+  });
+
+  describe('SQLite', function () {
+    sharedExamples(() => new SqliteQueueStore(':memory:'));
+
+    it('should keep the saved queue when a save fails halfway', function () {
+      const store = new SqliteQueueStore(':memory:');
+      const run = store.run.bind(store);
+      let inserts = 0;
+      return store.save('U1', queue)
+        .then(() => {
+          sinon.stub(store, 'run').callsFake((sql, params) => {
+            inserts += sql.startsWith('INSERT') ? 1 : 0;
+            return inserts === 2 && sql.startsWith('INSERT') ? Promise.reject(new Error('disk I/O error'))
+              : run(sql, params);
+          });
+          return store.save('U1', { '#irc': [{ text: 'new' }, { text: 'newer' }] });
+        })
+        .then(
+          () => { throw new Error('Expected save to fail'); },
+          error => error.message.should.equal('disk I/O error')
+        )
+        .then(() => store.load())
+        .then(queues => queues.should.deep.equal({ U1: queue }));
+    });
+
+    it('should keep queues across instances', function () {
+      const file = path.join(directory, 'queues.sqlite');
+      const first = new SqliteQueueStore(file);
+      return first.save('U1', queue)
+        .then(() => first.close())
+        .then(() => new SqliteQueueStore(file).load())
+        .then(queues => queues.U1.should.deep.equal(queue));
+    });
+  });
+
+  it('should create stores from config', function () {
+    (createQueueStore() === null).should.equal(true);
+    (createQueueStore({ store: 'memory' }) === null).should.equal(true);
+    createQueueStore({ store: 'json', path: path.join(directory, 'q.json') })
+      .should.be.an.instanceof(JsonFileQueueStore);
+    const custom = { load() {}, save() {} };
+    createQueueStore({ store: custom }).should.equal(custom);
+    (() => createQueueStore({ store: 'redis' })).should.throw('messageQueue.store must be one of');
+  });
+});
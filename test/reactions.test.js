@@ -0,0 +1,62 @@
+/* eslint-disable prefer-arrow-callback, no-unused-expressions */
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import ReactionDigest, { describeReactions } from '../lib/reactions';
+
+chai.should();
+chai.use(sinonChai);
+
+describe('Reactions', function () {
+  const sandbox = sinon.createSandbox();
+
+  beforeEach(function () {
+    this.clock = sandbox.useFakeTimers();
+    this.send = sandbox.spy();
+    this.digest = new ReactionDigest(this.send, 1000);
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('should sum up reactions per user', function () {
+    describeReactions([
+      { name: 'alice', emoji: ':+1:', count: 1 },
+      { name: 'bob', emoji: ':+1:', count: 1 },
+      { name: 'alice', emoji: ':tada:', count: 1 },
+      { name: 'carol', emoji: ':)', count: -1 }
+    ]).should.deep.equal({
+      added: 'alice reacted :+1: :tada:, bob reacted :+1:',
+      removed: 'carol removed :)'
+    });
+  });
+
+  it('should send a burst of reactions as one summary', function () {
+    const context = { ircChannel: '#irc', text: 'build is green' };
+    this.digest.add('1.1', context, 'alice', ':+1:', true);
+    this.clock.tick(900);
+    this.digest.add('1.1', context, 'bob', ':tada:', true);
+    this.clock.tick(900);
+    this.send.should.not.have.been.called;
+
+    this.clock.tick(100);
+    this.send.should.have.been.calledOnceWith(context, {
+      added: 'alice reacted :+1:, bob reacted :tada:', removed: null
+    });
+  });
+
+  it('should keep messages apart', function () {
+    this.digest.add('1.1', { text: 'one' }, 'alice', ':+1:', true);
+    this.digest.add('2.2', { text: 'two' }, 'alice', ':+1:', true);
+    this.clock.tick(1000);
+    this.send.should.have.been.calledTwice;
+  });
+
+  it('should not send reactions that were taken back', function () {
+    this.digest.add('1.1', {}, 'alice', ':+1:', true);
+    this.digest.add('1.1', {}, 'alice', ':+1:', false);
+    this.clock.tick(1000);
+    this.send.should.not.have.been.called;
+  });
+});
@@ -0,0 +1,46 @@
+/* eslint-disable prefer-arrow-callback */
+import chai from 'chai';
+import RelayOrder from '../lib/relay-order';
+
+chai.should();
+
+describe('Relay Order', function () {
+  it('should run in order of time once earlier entries are released', function () {
+    const order = new RelayOrder();
+    const ran = [];
+    const first = order.enter('#irc', 1000);
+    const second = order.enter('#irc', 2000);
+    second.release(() => ran.push('second'));
+    ran.should.deep.equal([]);
+    first.release(() => ran.push('first'));
+    ran.should.deep.equal(['first', 'second']);
+  });
+
+  it('should sort entries that arrive out of order', function () {
+    const order = new RelayOrder();
+    const ran = [];
+    const late = order.enter('#irc', 2000);
+    const early = order.enter('#irc', 1000);
+    late.release(() => ran.push('late'));
+    early.release(() => ran.push('early'));
+    ran.should.deep.equal(['early', 'late']);
+  });
+
+  it('should move past entries released without work', function () {
+    const order = new RelayOrder();
+    const ran = [];
+    const skipped = order.enter('#irc', 1000);
+    order.enter('#irc', 1000).release(() => ran.push('next'));
+    skipped.release();
+    ran.should.deep.equal(['next']);
+    order.queues.should.deep.equal({});
+  });
+
+  it('should keep keys apart', function () {
+    const order = new RelayOrder();
+    const ran = [];
+    order.enter('#irc', 1000);
+    order.enter('#other', 2000).release(() => ran.push('other'));
+    ran.should.deep.equal(['other']);
+  });
+});
@@ -0,0 +1,41 @@
+/* eslint-disable prefer-arrow-callback */
+import chai from 'chai';
+import RelayStore from '../lib/relay-store';
+
+chai.should();
+
+describe('Relay Store', function () {
+  it('should store and retrieve entries by ts', function () {
+    const store = new RelayStore();
+    store.add('1.1', { text: 'hello' });
+    store.get('1.1').text.should.equal('hello');
+    store.has('1.2').should.equal(false);
+  });
+
+  it('should drop the oldest entries once the limit is reached', function () {
+    const store = new RelayStore(2);
+    store.add('1', {});
+    store.add('2', {});
+    store.add('3', {});
+    store.size.should.equal(2);
+    store.has('1').should.equal(false);
+    store.has('3').should.equal(true);
+  });
+
+  it('should refresh the position of re-added entries', function () {
+    const store = new RelayStore(2);
+    store.add('1', {});
+    store.add('2', {});
+    store.add('1', {});
+    store.add('3', {});
+    store.has('1').should.equal(true);
+    store.has('2').should.equal(false);
+  });
+
+  it('should return removed entries', function () {
+    const store = new RelayStore();
+    store.add('1', { text: 'bye' });
+    store.remove('1').text.should.equal('bye');
+    store.has('1').should.equal(false);
+  });
+});
@@ -0,0 +1,104 @@
+/* eslint-disable prefer-arrow-callback */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chai from 'chai';
+import ShadowNicks, { isValidNick } from '../lib/shadow-nicks';
+import UserSettings from '../lib/user-settings';
+
+chai.should();
+
+describe('Shadow Nicks', function () {
+  it('should use the Slack name with the suffix', function () {
+    const nicks = new ShadowNicks('-sl', 16);
+    nicks.nickFor('U1', 'alice.smith').should.equal('alice-smith-sl');
+  });
+
+  it('should number the nick of a second user with the same name', function () {
+    const nicks = new ShadowNicks('-sl', 16);
+    nicks.nickFor('U1', 'christopher.long').should.equal('christopher-l-sl');
+    nicks.nickFor('U2', 'christopher.lee').should.equal('christopher--sl2');
+    nicks.nickFor('U3', 'christopher.lane').should.equal('christopher--sl3');
+  });
+
+  it('should keep a user\'s nick stable', function () {
+    const nicks = new ShadowNicks('-sl', 16);
+    nicks.nickFor('U1', 'alice');
+    nicks.nickFor('U2', 'alice').should.equal('alice-sl2');
+    nicks.nickFor('U1', 'alice').should.equal('alice-sl');
+    nicks.nickFor('U2', 'alice').should.equal('alice-sl2');
+  });
+
+  it('should compare nicks case-insensitively', function () {
+    const nicks = new ShadowNicks('-sl', 16);
+    nicks.nickFor('U1', 'Alice');
+    nicks.nickFor('U2', 'alice').should.equal('alice-sl2');
+  });
+
+  it('should move on to the next free nick after a collision', function () {
+    const nicks = new ShadowNicks('-sl', 16);
+    nicks.nickFor('U1', 'alice');
+    nicks.nickFor('U2', 'alice').should.equal('alice-sl2');
+    nicks.collided('U1', 'alice').should.equal(2);
+    nicks.nickFor('U1', 'alice').should.equal('alice-sl3');
+  });
+
+  it('should assign a new nick when the Slack name changes', function () {
+    const nicks = new ShadowNicks('-sl', 16);
+    nicks.nickFor('U1', 'alice');
+    nicks.collided('U1', 'alice');
+    nicks.nickFor('U1', 'alice2').should.equal('alice2-sl');
+  });
+});
+
+describe('Chosen Nicks', function () {
+  it('should use a chosen nick without the suffix', function () {
+    const nicks = new ShadowNicks('-sl', 16);
+    nicks.nickFor('U1', 'alice', 'ally').should.equal('ally');
+  });
+
+  it('should number a chosen nick that is already taken', function () {
+    const nicks = new ShadowNicks('-sl', 16);
+    nicks.nickFor('U1', 'alice', 'ally');
+    nicks.nickFor('U2', 'bob', 'ALLY').should.equal('ALLY2');
+  });
+
+  it('should go back to the Slack name when the chosen nick is removed', function () {
+    const nicks = new ShadowNicks('-sl', 16);
+    nicks.nickFor('U1', 'alice', 'ally');
+    nicks.nickFor('U1', 'alice', undefined).should.equal('alice-sl');
+  });
+
+  it('should keep numbered nicks across restarts', function () {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'slack-irc-'));
+    const file = path.join(directory, 'users.json');
+    const settings = new UserSettings(file);
+    const nicks = new ShadowNicks('-sl', 16, settings);
+    nicks.nickFor('U1', 'alice');
+    nicks.nickFor('U2', 'alice');
+    const restarted = new UserSettings(file);
+    return settings.writing
+      .then(() => restarted.load())
+      .then(() => {
+        const afterRestart = new ShadowNicks('-sl', 16, restarted);
+        afterRestart.nickFor('U2', 'alice').should.equal('alice-sl2');
+        afterRestart.nickFor('U1', 'alice').should.equal('alice-sl');
+        afterRestart.nickFor('U3', 'alice').should.equal('alice-sl3');
+      })
+      .then(() => restarted.writing)
+      .then(() => {
+        fs.unlinkSync(file);
+        fs.rmdirSync(directory);
+      });
+  });
+
+  it('should validate chosen nicks', function () {
+    isValidNick('ally', 16).should.equal(true);
+    isValidNick('[away]_ally|2', 16).should.equal(true);
+    isValidNick('2ally', 16).should.equal(false);
+    isValidNick('-ally', 16).should.equal(false);
+    isValidNick('ally smith', 16).should.equal(false);
+    isValidNick('ally.smith', 16).should.equal(false);
+    isValidNick('a-very-long-nickname', 16).should.equal(false);
+  });
+});
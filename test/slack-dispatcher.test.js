@@ -0,0 +1,172 @@
+/* eslint-disable prefer-arrow-callback, no-unused-expressions */
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import logger from 'winston';
+import { WebAPIErrorCode } from '@slack/client';
+import SlackDispatcher from '../lib/slack-dispatcher';
+
+chai.should();
+chai.use(sinonChai);
+
+const codedError = (code, fields = {}) => Object.assign(new Error(code), { code }, fields);
+
+// Only timers are faked, so pending promises can settle between ticks
+const flush = () => new Promise(resolve => setImmediate(resolve));
+const advance = (clock, ms, step = 10) => {
+  let advanced = flush();
+  for (let elapsed = 0; elapsed < ms; elapsed += step) {
+    const tick = Math.min(step, ms - elapsed);
+    advanced = advanced.then(() => {
+      clock.tick(tick);
+      return flush();
+    });
+  }
+  return advanced;
+};
+
+describe('Slack Dispatcher', function () {
+  const sandbox = sinon.createSandbox();
+
+  beforeEach(function () {
+    sandbox.stub(logger, 'info');
+    sandbox.stub(logger, 'debug');
+    sandbox.stub(logger, 'error');
+    this.clock = sandbox.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+    this.sent = [];
+    this.web = {
+      chat: {
+        postMessage: sandbox.spy((options) => {
+          this.sent.push(options.text);
+          return Promise.resolve({ ok: true });
+        })
+      }
+    };
+    this.dispatcher = new SlackDispatcher(this.web);
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('should send messages in order', function () {
+    const sent = ['one', 'two', 'three'].map(text => this.dispatcher.post({ channel: 'C1', text }));
+    return advance(this.clock, 50)
+      .then(() => Promise.all(sent))
+      .then(() => {
+        this.sent.should.deep.equal(['one', 'two', 'three']);
+      });
+  });
+
+  it('should send interactive replies before bulk messages', function () {
+    this.dispatcher.post({ channel: 'C1', text: 'bulk 1' });
+    this.dispatcher.post({ channel: 'C1', text: 'bulk 2' });
+    this.dispatcher.post({ channel: 'C1', text: 'reply' }, { priority: 'interactive' });
+    return advance(this.clock, 50).then(() => {
+      this.sent.should.deep.equal(['reply', 'bulk 1', 'bulk 2']);
+    });
+  });
+
+  it('should wait for Retry-After when rate limited', function () {
+    this.web.chat.postMessage = sandbox.stub();
+    this.web.chat.postMessage.onFirstCall()
+      .rejects(codedError(WebAPIErrorCode.RateLimitedError, { retryAfter: 5 }));
+    this.web.chat.postMessage.resolves({ ok: true });
+
+    const sent = this.dispatcher.post({ channel: 'C1', text: 'limited' });
+    return advance(this.clock, 4000)
+      .then(() => {
+        this.web.chat.postMessage.should.have.been.calledOnce;
+        return advance(this.clock, 1100);
+      })
+      .then(() => {
+        this.web.chat.postMessage.should.have.been.calledTwice;
+        return sent;
+      })
+      .then((resp) => {
+        resp.ok.should.be.true;
+      });
+  });
+
+  it('should retry transient failures with backoff', function () {
+    this.web.chat.postMessage = sandbox.stub();
+    this.web.chat.postMessage.onFirstCall().rejects(codedError(WebAPIErrorCode.RequestError));
+    this.web.chat.postMessage.onSecondCall().rejects(codedError(WebAPIErrorCode.HTTPError, { statusCode: 503 }));
+    this.web.chat.postMessage.resolves({ ok: true });
+
+    const sent = this.dispatcher.post({ channel: 'C1', text: 'flaky' });
+    return advance(this.clock, 3100)
+      .then(() => {
+        this.web.chat.postMessage.should.have.been.calledThrice;
+        return sent;
+      })
+      .then((resp) => {
+        resp.ok.should.be.true;
+      });
+  });
+
+  it('should give up on other errors', function () {
+    this.web.chat.postMessage = sandbox.stub()
+      .rejects(codedError(WebAPIErrorCode.PlatformError, { data: { error: 'channel_not_found' } }));
+
+    const sent = this.dispatcher.post({ channel: 'C1', text: 'lost' }).catch(error => error);
+    return advance(this.clock, 50)
+      .then(() => sent)
+      .then((error) => {
+        error.code.should.equal(WebAPIErrorCode.PlatformError);
+        this.web.chat.postMessage.should.have.been.calledOnce;
+        logger.error.should.have.been.calledOnce;
+      });
+  });
+
+  it('should coalesce bursts from one author while backed up', function () {
+    const coalesce = 'C1:alice:';
+    ['a', 'b', 'c', 'd', 'e'].forEach(text => this.dispatcher.post({ channel: 'C1', text }, { coalesce }));
+    return advance(this.clock, 50).then(() => {
+      this.sent.should.deep.equal(['a', 'b', 'c\nd\ne']);
+    });
+  });
+
+  it('should keep other channels going while one is rate limited', function () {
+    this.web.chat.postMessage = sandbox.spy((options) => {
+      this.sent.push(options.text);
+      return options.channel === 'C1' && this.sent.length === 1
+        ? Promise.reject(codedError(WebAPIErrorCode.RateLimitedError, { retryAfter: 5 }))
+        : Promise.resolve({ ok: true });
+    });
+    this.dispatcher.post({ channel: 'C1', text: 'limited' });
+    this.dispatcher.post({ channel: 'C1', text: 'waiting' });
+    this.dispatcher.post({ channel: 'C2', text: 'other' });
+    this.dispatcher.post({ channel: 'C2', text: 'reply' }, { priority: 'interactive' });
+    return advance(this.clock, 1000)
+      .then(() => {
+        this.sent.should.deep.equal(['limited', 'reply', 'other']);
+        return advance(this.clock, 4100);
+      })
+      .then(() => {
+        this.sent.should.deep.equal(['limited', 'reply', 'other', 'limited', 'waiting']);
+      });
+  });
+
+  it('should coalesce bursts within the author\'s own channel', function () {
+    const alice = 'C1:alice:';
+    this.dispatcher.post({ channel: 'C1', text: 'a' }, { coalesce: alice });
+    this.dispatcher.post({ channel: 'C2', text: 'x' }, { coalesce: 'C2:alice:' });
+    this.dispatcher.post({ channel: 'C1', text: 'b' }, { coalesce: alice });
+    this.dispatcher.post({ channel: 'C1', text: 'c' }, { coalesce: alice });
+    this.dispatcher.post({ channel: 'C1', text: 'd' }, { coalesce: alice });
+    return advance(this.clock, 50).then(() => {
+      this.sent.should.deep.equal(['a', 'x', 'b', 'c\nd']);
+    });
+  });
+
+  it('should not coalesce a message past other authors\' earlier ones', function () {
+    this.dispatcher.post({ channel: 'C1', text: 'A1' }, { coalesce: 'C1:alice:' });
+    this.dispatcher.post({ channel: 'C1', text: 'B1' }, { coalesce: 'C1:bob:' });
+    this.dispatcher.post({ channel: 'C1', text: 'A2' }, { coalesce: 'C1:alice:' });
+    this.dispatcher.post({ channel: 'C1', text: 'A3' }, { coalesce: 'C1:alice:' });
+    return advance(this.clock, 50).then(() => {
+      this.sent.should.deep.equal(['A1', 'B1', 'A2\nA3']);
+    });
+  });
+});
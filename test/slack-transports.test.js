@@ -0,0 +1,157 @@
+/* eslint-disable prefer-arrow-callback, no-unused-expressions */
+import crypto from 'crypto';
+import http from 'http';
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import logger from 'winston';
+import {
+  createTransport, EventsAPITransport, SocketModeTransport, verifySignature
+} from '../lib/slack-transports';
+
+chai.should();
+chai.use(sinonChai);
+
+const SECRET = 'signing-secret';
+
+const sign = (body, timestamp = Math.floor(Date.now() / 1000)) => ({
+  'x-slack-request-timestamp': String(timestamp),
+  'x-slack-signature': `v0=${crypto.createHmac('sha256', SECRET).update(`v0:${timestamp}:${body}`).digest('hex')}`
+});
+
+const post = (port, body, headers) => new Promise((resolve, reject) => {
+  const req = http.request({
+    port, host: '127.0.0.1', path: '/slack/events', method: 'POST', headers
+  }, (res) => {
+    let response = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => { response += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, body: response }));
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+describe('Slack Transports', function () {
+  const sandbox = sinon.createSandbox();
+  const web = { auth: { test: () => Promise.resolve({ user_id: 'UBOT' }) } };
+
+  beforeEach(function () {
+    sandbox.stub(logger, 'info');
+    sandbox.stub(logger, 'debug');
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('should verify request signatures', function () {
+    const body = '{"type":"event_callback"}';
+    verifySignature(SECRET, sign(body), body).should.equal(true);
+    verifySignature(SECRET, sign(body), `${body} `).should.equal(false);
+    verifySignature('other-secret', sign(body), body).should.equal(false);
+    verifySignature(SECRET, sign(body, 1000), body).should.equal(false);
+    verifySignature(SECRET, {}, body).should.equal(false);
+  });
+
+  it('should reject signatures with non-ASCII characters', function () {
+    const body = '{}';
+    const headers = { ...sign(body), 'x-slack-signature': `v0=${'a'.repeat(63)}\u00e9` };
+    verifySignature(SECRET, headers, body).should.equal(false);
+  });
+
+  describe('Events API', function () {
+    beforeEach(function () {
+      this.transport = new EventsAPITransport(web, { signingSecret: SECRET, port: 0, host: '127.0.0.1' });
+      return this.transport.start().then((port) => { this.port = port; });
+    });
+
+    afterEach(function () {
+      return this.transport.close();
+    });
+
+    it('should know the bot user once started', function () {
+      this.transport.activeUserId.should.equal('UBOT');
+    });
+
+    it('should answer URL verification challenges', function () {
+      const body = JSON.stringify({ type: 'url_verification', challenge: 'abc123' });
+      return post(this.port, body, sign(body)).then((response) => {
+        response.should.deep.equal({ status: 200, body: 'abc123' });
+      });
+    });
+
+    it('should emit each event once', function () {
+      const message = sinon.spy();
+      this.transport.on('message', message);
+      const event = { type: 'message', channel: 'C1', text: 'hi' };
+      const body = JSON.stringify({ type: 'event_callback', event_id: 'Ev1', event });
+      return post(this.port, body, sign(body))
+        .then(() => post(this.port, body, sign(body)))
+        .then((response) => {
+          response.status.should.equal(200);
+          message.should.have.been.calledOnceWith(event);
+        });
+    });
+
+    it('should reject requests with a bad signature', function () {
+      const message = sinon.spy();
+      this.transport.on('message', message);
+      const body = JSON.stringify({ type: 'event_callback', event_id: 'Ev2', event: { type: 'message' } });
+      return post(this.port, body, sign('{}')).then((response) => {
+        response.status.should.equal(401);
+        message.should.not.have.been.called;
+      });
+    });
+
+    it('should survive signatures that are not ASCII', function () {
+      const body = '{}';
+      const headers = { ...sign(body), 'x-slack-signature': `v0=${'a'.repeat(63)}\u00e9` };
+      return post(this.port, body, headers)
+        .then(response => response.status.should.equal(401))
+        .then(() => post(this.port, body, sign(body)))
+        .then(response => response.status.should.equal(200));
+    });
+
+    it('should refuse bodies that are too large', function () {
+      const body = JSON.stringify({ type: 'event_callback', text: 'a'.repeat(1024 * 1024) });
+      return post(this.port, body, sign(body)).then((response) => {
+        response.status.should.equal(413);
+      });
+    });
+  });
+
+  describe('Socket Mode', function () {
+    beforeEach(function () {
+      this.transport = new SocketModeTransport(web, { appToken: 'xapp-1' });
+      this.socket = { send: sinon.spy(), close: sinon.spy() };
+    });
+
+    it('should acknowledge and emit events', function () {
+      const message = sinon.spy();
+      this.transport.on('message', message);
+      const event = { type: 'message', channel: 'C1', text: 'hi' };
+      this.transport.receive(this.socket, JSON.stringify({
+        type: 'events_api', envelope_id: 'env1', payload: { event_id: 'Ev1', event }
+      }));
+      this.socket.send.should.have.been.calledOnceWith('{"envelope_id":"env1"}');
+      message.should.have.been.calledOnceWith(event);
+    });
+
+    it('should open once Slack says hello', function () {
+      const open = sinon.spy();
+      this.transport.on('open', open);
+      this.transport.receive(this.socket, '{"type":"hello"}');
+      open.should.have.been.calledOnce;
+    });
+  });
+
+  it('should create the configured transport', function () {
+    createTransport('xoxb-1', web, { type: 'events', signingSecret: SECRET })
+      .should.be.an.instanceof(EventsAPITransport);
+    createTransport('xoxb-1', web, { type: 'socket', appToken: 'xapp-1' })
+      .should.be.an.instanceof(SocketModeTransport);
+    (() => createTransport('xoxb-1', web, { type: 'smoke' })).should.throw('transport.type must be one of');
+    (() => createTransport('xoxb-1', web, { type: 'events' })).should.throw('signingSecret');
+  });
+});
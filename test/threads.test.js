@@ -0,0 +1,135 @@
+/* eslint-disable prefer-arrow-callback, no-unused-expressions */
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import logger from 'winston';
+import Bot from '../lib/bot';
+import config from './fixtures/single-test-config.json';
+
+chai.should();
+chai.use(sinonChai);
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Thread Bridging', function () {
+  const sandbox = sinon.createSandbox();
+  const user = { id: 'U1', name: 'alice', profile: {} };
+  const reply = {
+    channel: 'C1', ts: '2.0', thread_ts: '1.0', text: 'me too'
+  };
+
+  function createBot(threads) {
+    const bot = new Bot({ ...config, threads });
+    bot.channelDirectory = { byId: sandbox.stub().resolves({ id: 'C1', name: 'slack', is_channel: true }) };
+    sandbox.stub(bot, 'sendMessagesToIRC');
+    return bot;
+  }
+
+  function queued(bot) {
+    return (bot.messageQueues[user.id] || {})['#irc'] || [];
+  }
+
+  beforeEach(function () {
+    sandbox.stub(logger, 'debug');
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('should keep thread replies on Slack when off', function () {
+    const bot = createBot('off');
+    bot.queueMessage(user, { ...reply });
+    return flush().then(() => {
+      queued(bot).should.be.empty;
+    });
+  });
+
+  it('should relay only replies also sent to the channel when parent-only', function () {
+    const bot = createBot('parent-only');
+    bot.recordRelayed(user, '#irc', { ts: '1.0', channel: 'C1' }, 'is the build green?');
+    bot.queueMessage(user, { ...reply });
+    bot.queueMessage(user, {
+      ...reply, ts: '3.0', text: 'it is', subtype: 'thread_broadcast'
+    });
+    return flush().then(() => {
+      queued(bot).map(message => message.text).should.deep.equal(['it is']);
+      queued(bot)[0].prefix.should.equal('[re: "is the build green?"] ');
+      bot.lastThreads.should.deep.equal({});
+    });
+  });
+
+  it('should relay every reply with a quote of the relayed parent when inline', function () {
+    const bot = createBot('inline');
+    bot.recordRelayed(user, '#irc', { ts: '1.0', channel: 'C1' }, 'is the build green?');
+    bot.queueMessage(user, { ...reply });
+    return flush().then(() => {
+      queued(bot)[0].prefix.should.equal('[re: "is the build green?"] ');
+      bot.lastThreads[user.id].ts.should.equal('1.0');
+    });
+  });
+
+  it('should quote a parent that wasn\'t relayed from Slack', function () {
+    const bot = createBot('inline');
+    const replies = sandbox.stub().resolves({ messages: [{ text: 'is the build green?' }] });
+    bot.slack.web.conversations.replies = replies;
+    sandbox.stub(bot, 'parseText').callsFake(text => Promise.resolve(text));
+    bot.queueMessage(user, { ...reply });
+    return flush().then(() => {
+      replies.should.have.been.calledWith({ channel: 'C1', ts: '1.0', limit: 1 });
+      queued(bot)[0].prefix.should.equal('[re: "is the build green?"] ');
+    });
+  });
+
+  it('should fall back to a plain prefix when the parent can\'t be fetched', function () {
+    const bot = createBot('inline');
+    bot.slack.web.conversations.replies = sandbox.stub().rejects(new Error('thread_not_found'));
+    bot.queueMessage(user, { ...reply });
+    return flush().then(() => {
+      queued(bot)[0].prefix.should.equal('[thread] ');
+    });
+  });
+
+  it('should forget the user\'s thread once they post in the channel', function () {
+    const bot = createBot('inline');
+    bot.lastThreads[user.id] = { slackChannel: 'C1', ts: '1.0', at: Date.now() };
+    bot.queueMessage(user, { channel: 'C1', ts: '3.0', text: 'back in the channel' });
+    return flush().then(() => {
+      bot.lastThreads.should.deep.equal({});
+    });
+  });
+
+  describe('replies from IRC', function () {
+    beforeEach(function () {
+      this.bot = createBot('inline');
+      this.bot.ircClient = { nick: 'test' };
+      this.bot.ircClients[user.id] = { nick: 'alice-sl', userId: user.id };
+      this.bot.lastThreads[user.id] = { slackChannel: 'C1', ts: '1.0', at: Date.now() };
+      sandbox.stub(this.bot, 'getSlackChannelByName').resolves({ id: 'C1', name: 'slack', is_member: true });
+      this.bot.slackDispatcher = { post: sandbox.stub().resolves({ ts: '4.0' }) };
+    });
+
+    it('should post replies addressed to a Slack user into their last thread', function () {
+      this.bot.sendToSlack('bob', '#irc', 'alice-sl: yes, all green');
+      return flush().then(() => {
+        this.bot.slackDispatcher.post.should.have.been.calledOnce;
+        this.bot.slackDispatcher.post.firstCall.args[0].thread_ts.should.equal('1.0');
+      });
+    });
+
+    it('should post other messages to the channel', function () {
+      this.bot.sendToSlack('bob', '#irc', 'anyone around?');
+      return flush().then(() => {
+        (this.bot.slackDispatcher.post.firstCall.args[0].thread_ts === undefined).should.be.true;
+      });
+    });
+
+    it('should stop replying in a thread after a while', function () {
+      this.bot.lastThreads[user.id].at = Date.now() - (2 * 60 * 60 * 1000);
+      this.bot.sendToSlack('bob', '#irc', 'alice-sl: yes, all green');
+      return flush().then(() => {
+        (this.bot.slackDispatcher.post.firstCall.args[0].thread_ts === undefined).should.be.true;
+      });
+    });
+  });
+});
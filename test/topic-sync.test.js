@@ -0,0 +1,48 @@
+/* eslint-disable prefer-arrow-callback, no-unused-expressions */
+import chai from 'chai';
+import TopicSync from '../lib/topic-sync';
+
+chai.should();
+
+describe('Topic Sync', function () {
+  const both = { topicSync: 'both' };
+
+  it('should only mirror topics in the configured direction', function () {
+    const sync = new TopicSync();
+    (sync.toSlack('#irc', 'Release on Friday', { topicSync: 'off' }) === null).should.be.true;
+    (sync.toIRC('#irc', 'Release on Friday', { topicSync: 'irc-to-slack' }) === null).should.be.true;
+    sync.toSlack('#irc', 'Release on Friday', { topicSync: 'irc-to-slack' }).should.equal('Release on Friday');
+    sync.toIRC('#irc', 'Release on Monday', { topicSync: 'slack-to-irc' }).should.equal('Release on Monday');
+  });
+
+  it('should wrap topics mirrored to Slack in the Slack format', function () {
+    const options = { topicSync: 'both', slackTopicFormat: '$topic (via IRC)', ircTopicFormat: '[slack] $topic' };
+    new TopicSync().toSlack('#irc', 'Welcome', options).should.equal('Welcome (via IRC)');
+  });
+
+  it('should wrap topics mirrored to IRC in the IRC format', function () {
+    const options = { topicSync: 'both', slackTopicFormat: '$topic (via IRC)', ircTopicFormat: '[slack] $topic' };
+    new TopicSync().toIRC('#irc', 'Welcome', options).should.equal('[slack] Welcome');
+    new TopicSync().toIRC('#irc', 'Welcome', { topicSync: 'both', slackTopicFormat: '$topic (via IRC)' })
+      .should.equal('Welcome');
+  });
+
+  it('should not mirror a mirrored topic back', function () {
+    const sync = new TopicSync();
+    sync.toSlack('#irc', 'Welcome', { topicSync: 'both', slackTopicFormat: '[irc] $topic' });
+    (sync.toIRC('#IRC', '[irc] Welcome', { topicSync: 'both', slackTopicFormat: '[irc] $topic' }) === null)
+      .should.be.true;
+    sync.toIRC('#irc', 'Goodbye', both).should.equal('Goodbye');
+    (sync.toSlack('#irc', 'Goodbye', both) === null).should.be.true;
+  });
+
+  it('should not set the same topic twice', function () {
+    const sync = new TopicSync();
+    sync.toSlack('#irc', 'Welcome', both);
+    (sync.toSlack('#irc', 'Welcome', both) === null).should.be.true;
+  });
+
+  it('should cut long topics short for Slack', function () {
+    new TopicSync().toSlack('#irc', 'a'.repeat(300), both).length.should.equal(250);
+  });
+});
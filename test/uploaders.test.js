@@ -0,0 +1,139 @@
+/* eslint-disable prefer-arrow-callback, no-unused-expressions */
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import request from 'request';
+import logger from 'winston';
+import {
+  createUploader, ImgurUploader, LocalUploader, S3Uploader
+} from '../lib/uploaders';
+
+chai.should();
+chai.use(sinonChai);
+
+const file = {
+  id: 'F1', name: 'build log.txt', mimetype: 'text/plain', size: 11
+};
+const data = Buffer.from('build green');
+
+function get(port, urlPath) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: urlPath }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ res, body }));
+    }).on('error', reject);
+  });
+}
+
+describe('Uploaders', function () {
+  const sandbox = sinon.createSandbox();
+
+  beforeEach(function () {
+    sandbox.stub(logger, 'info');
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('should check the options of each type', function () {
+    (() => createUploader({ type: 'ftp' })).should.throw('uploads.type must be one of imgur, s3, local');
+    (() => createUploader({ type: 'imgur' })).should.throw('The imgur uploader needs a clientId');
+    (() => createUploader({ type: 's3', bucket: 'files' }))
+      .should.throw('The s3 uploader needs a bucket, accessKeyId and secretAccessKey');
+    (() => createUploader({ type: 'local', directory: '/tmp' }))
+      .should.throw('The local uploader needs a directory and publicUrl');
+    createUploader({ type: 'imgur', clientId: 'abc' }).should.be.an.instanceof(ImgurUploader);
+  });
+
+  it('should only accept files within the size and MIME type limits', function () {
+    const uploader = new ImgurUploader({ clientId: 'abc', maxSize: 100 });
+    uploader.accepts({ mimetype: 'image/png', size: 100 }).should.be.true;
+    uploader.accepts({ mimetype: 'image/png', size: 101 }).should.be.false;
+    uploader.accepts({ mimetype: 'application/zip', size: 10 }).should.be.false;
+  });
+
+  it('should post images to imgur', function () {
+    sandbox.stub(request, 'post').yields(null, { statusCode: 200 },
+      JSON.stringify({ success: true, data: { link: 'https://i.imgur.com/abc.png' } }));
+    return new ImgurUploader({ clientId: 'abc' }).upload(file, data).then((url) => {
+      url.should.equal('https://i.imgur.com/abc.png');
+      const options = request.post.firstCall.args[0];
+      options.headers.authorization.should.equal('Client-ID abc');
+      options.form.image.should.equal(data.toString('base64'));
+    });
+  });
+
+  it('should put signed files into an S3 bucket', function () {
+    sandbox.stub(request, 'put').yields(null, { statusCode: 200 });
+    const uploader = new S3Uploader({
+      bucket: 'files',
+      accessKeyId: 'AKID',
+      secretAccessKey: 'secret',
+      endpoint: 'https://storage.example.org/',
+      prefix: 'slack/',
+      acl: 'public-read'
+    });
+    return uploader.upload(file, data).then((url) => {
+      url.should.equal('https://storage.example.org/files/slack/F1-build_log.txt');
+      const options = request.put.firstCall.args[0];
+      options.url.should.equal('https://storage.example.org/files/slack/F1-build_log.txt');
+      options.body.should.equal(data);
+      options.headers['Content-Type'].should.equal('text/plain');
+      options.headers['x-amz-acl'].should.equal('public-read');
+      options.headers.Authorization.should.match(/^AWS4-HMAC-SHA256 Credential=AKID\/\d+\/us-east-1\/s3\//);
+    });
+  });
+
+  it('should fail when S3 refuses the file', function () {
+    sandbox.stub(request, 'put').yields(null, { statusCode: 403 });
+    const uploader = new S3Uploader({ bucket: 'files', accessKeyId: 'AKID', secretAccessKey: 'secret' });
+    return uploader.upload(file, data).then(() => { throw new Error('expected a rejection'); }, (error) => {
+      error.message.should.equal('S3 returned 403 for F1-build_log.txt');
+    });
+  });
+
+  describe('local', function () {
+    beforeEach(function () {
+      this.directory = fs.mkdtempSync(path.join(os.tmpdir(), 'slack-irc-uploads-'));
+      this.uploader = new LocalUploader({
+        directory: path.join(this.directory, 'files'),
+        publicUrl: 'https://files.example.org/',
+        port: 0,
+        host: '127.0.0.1'
+      });
+    });
+
+    afterEach(function () {
+      return this.uploader.close();
+    });
+
+    it('should write files to the directory and serve them', function () {
+      let port;
+      return this.uploader.upload(file, data)
+        .then((url) => {
+          url.should.equal('https://files.example.org/F1-build_log.txt');
+          fs.readFileSync(path.join(this.directory, 'files', 'F1-build_log.txt'), 'utf8').should.equal('build green');
+          return this.uploader.listen();
+        })
+        .then((listening) => {
+          port = listening;
+          return get(port, '/F1-build_log.txt');
+        })
+        .then(({ res, body }) => {
+          res.statusCode.should.equal(200);
+          res.headers['content-type'].should.equal('text/plain; charset=utf-8');
+          res.headers['content-disposition'].should.equal('inline');
+          body.should.equal('build green');
+          return get(port, '/..%2Fsecret');
+        })
+        .then(({ res }) => res.statusCode.should.equal(404));
+    });
+  });
+});
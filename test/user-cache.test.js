@@ -0,0 +1,74 @@
+/* eslint-disable prefer-arrow-callback, no-unused-expressions */
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import logger from 'winston';
+import UserCache from '../lib/user-cache';
+
+chai.should();
+chai.use(sinonChai);
+
+describe('User Cache', function () {
+  const sandbox = sinon.createSandbox();
+
+  beforeEach(function () {
+    sandbox.stub(logger, 'debug');
+    this.web = {
+      users: {
+        list: sandbox.stub().resolves({ members: [{ id: 'U1', name: 'alice' }] }),
+        info: sandbox.stub().resolves({ user: { id: 'U2', name: 'bob' } })
+      }
+    };
+    this.cache = new UserCache(this.web, 60);
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  it('should serve users loaded from users.list', function () {
+    return this.cache.load()
+      .then(() => this.cache.get('U1'))
+      .then((user) => {
+        user.name.should.equal('alice');
+        this.web.users.info.should.not.have.been.called;
+        this.cache.stats().should.deep.equal({ hits: 1, misses: 0, size: 1 });
+      });
+  });
+
+  it('should log its counters when loading users', function () {
+    return this.cache.get('U2')
+      .then(() => this.cache.load())
+      .then(() => {
+        logger.debug.should.have.been.calledWith('Loaded 1 Slack users', { hits: 0, misses: 1, size: 2 });
+      });
+  });
+
+  it('should fetch and cache unknown users once', function () {
+    return Promise.all([this.cache.get('U2'), this.cache.get('U2')])
+      .then(() => this.cache.get('U2'))
+      .then((user) => {
+        user.name.should.equal('bob');
+        this.web.users.info.should.have.been.calledOnce;
+        this.cache.stats().should.deep.equal({ hits: 1, misses: 2, size: 1 });
+      });
+  });
+
+  it('should fetch users again once they expire', function () {
+    const clock = sandbox.useFakeTimers();
+    this.cache.set({ id: 'U2', name: 'old' });
+    clock.tick(61 * 1000);
+    return this.cache.get('U2').then((user) => {
+      user.name.should.equal('bob');
+    });
+  });
+
+  it('should replace users on updates', function () {
+    this.cache.set({ id: 'U1', name: 'alice' });
+    this.cache.set({ id: 'U1', name: 'alicia' });
+    return this.cache.get('U1').then((user) => {
+      user.name.should.equal('alicia');
+      this.web.users.info.should.not.have.been.called;
+    });
+  });
+});
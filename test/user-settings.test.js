@@ -0,0 +1,58 @@
+/* eslint-disable prefer-arrow-callback */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chai from 'chai';
+import UserSettings from '../lib/user-settings';
+
+chai.should();
+
+describe('User Settings', function () {
+  let directory;
+  let file;
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'slack-irc-'));
+    file = path.join(directory, 'users.json');
+  });
+
+  afterEach(function () {
+    fs.readdirSync(directory).forEach(name => fs.unlinkSync(path.join(directory, name)));
+    fs.rmdirSync(directory);
+  });
+
+  it('should start out empty', function () {
+    const settings = new UserSettings(file);
+    return settings.load().then(() => settings.get('U1').should.deep.equal({}));
+  });
+
+  it('should merge updates into a user\'s settings', function () {
+    const settings = new UserSettings(file);
+    return settings.update('U1', { nick: 'ally' })
+      .then(() => settings.update('U1', { nickserv: { password: 'secret' } }))
+      .then(() => settings.get('U1').should.deep.equal({ nick: 'ally', nickserv: { password: 'secret' } }));
+  });
+
+  it('should remove settings set to null', function () {
+    const settings = new UserSettings(file);
+    return settings.update('U1', { nick: 'ally', nickserv: { password: 'secret' } })
+      .then(() => settings.update('U1', { nickserv: null }))
+      .then(() => settings.get('U1').should.deep.equal({ nick: 'ally' }));
+  });
+
+  it('should only let its owner read the file', function () {
+    fs.writeFileSync(file, '{}', { mode: 0o644 });
+    fs.writeFileSync(`${file}.tmp`, '', { mode: 0o644 });
+    return new UserSettings(file).update('U1', { nickserv: { password: 'hunter2' } }).then(() => {
+      (fs.statSync(file).mode & 0o777).should.equal(0o600); // eslint-disable-line no-bitwise
+    });
+  });
+
+  it('should keep settings across instances', function () {
+    return new UserSettings(file).update('U1', { nick: 'ally' })
+      .then(() => {
+        const settings = new UserSettings(file);
+        return settings.load().then(() => settings.get('U1').nick.should.equal('ally'));
+      });
+  });
+});
@@ -0,0 +1,119 @@
+/* eslint-disable prefer-arrow-callback, no-unused-expressions */
+import chai from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import logger from 'winston';
+import Bot from '../lib/bot';
+import { renderTemplate } from '../lib/helpers';
+import config from './fixtures/single-test-config.json';
+
+chai.should();
+chai.use(sinonChai);
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Username Format Templates', function () {
+  const sandbox = sinon.createSandbox();
+  const variables = {
+    username: 'alice',
+    nick: 'alice-sl',
+    channel: '#irc',
+    network: 'freenode'
+  };
+
+  it('should replace all known variables', function () {
+    renderTemplate('$username/$nick@$network $channel', variables)
+      .should.equal('alice/alice-sl@freenode #irc');
+  });
+
+  it('should replace repeated variables', function () {
+    renderTemplate('$username $username', variables).should.equal('alice alice');
+  });
+
+  it('should leave unknown variables untouched', function () {
+    renderTemplate('<$username> $unknown', variables).should.equal('<alice> $unknown');
+  });
+
+  describe('per channel', function () {
+    const user = { id: 'U1', name: 'alice', profile: {} };
+
+    beforeEach(function () {
+      this.bot = new Bot({
+        ...config,
+        network: 'freenode',
+        slackUsernameFormat: '$username (IRC)',
+        ircUsernameFormat: '<$username> ',
+        channelMapping: {
+          '#slack': '#irc channelKey',
+          '#slack-dev': {
+            channel: '#irc-dev', slackUsernameFormat: '$nick@$network', ircUsernameFormat: '[$channel] $username: '
+          }
+        }
+      });
+      this.bot.ircClient = { nick: 'test' };
+      sandbox.stub(this.bot.userSettings, 'update').resolves();
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('should prefer the channel mapping\'s options', function () {
+      this.bot.channelOption('#slack-dev', 'slackUsernameFormat').should.equal('$nick@$network');
+      this.bot.channelOption('#slack', 'slackUsernameFormat').should.equal('$username (IRC)');
+      this.bot.channelOption('#unmapped', 'ircUsernameFormat').should.equal('<$username> ');
+    });
+
+    it('should name IRC users on Slack with their channel\'s format', function () {
+      this.bot.slackUsername('bob', '#IRC-dev').should.equal('bob@freenode');
+      this.bot.slackUsername('bob', '#irc').should.equal('bob (IRC)');
+    });
+
+    it('should name Slack users on IRC with their channel\'s format', function () {
+      this.bot.ircUsername(user, '#irc-dev').should.equal('[#slack-dev] alice: ');
+      this.bot.ircUsername(user, '#irc').should.equal('<alice> ');
+    });
+  });
+
+  describe('through the bot', function () {
+    const user = { id: 'U1', name: 'alice', profile: {} };
+
+    beforeEach(function () {
+      sandbox.stub(logger, 'debug');
+      sandbox.stub(logger, 'error');
+      this.bot = new Bot(config);
+      sandbox.stub(this.bot.userSettings, 'update').resolves();
+      sandbox.stub(this.bot, 'newClient');
+      this.bot.ircClient = { nick: 'test', say: sandbox.spy(), notice: sandbox.spy() };
+      this.bot.messageQueues[user.id] = { '#irc': [{ text: 'hello', parsed: true }] };
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('should relay for users whose shadow client gave up', function () {
+      this.bot.ircClients[user.id] = { disconnect: sandbox.spy(), conn: {} };
+      sandbox.stub(this.bot, 'updateSlackPresenceSubs');
+      this.bot.giveUpClient(user, 'no free nick');
+      return flush().then(() => {
+        this.bot.ircClient.say.should.have.been.calledWith('#irc', '<alice> hello');
+        (this.bot.ircClients[user.id] === undefined).should.be.true;
+        this.bot.enqueue(user, '#irc', { text: 'again', parsed: true });
+        this.bot.sendMessagesToIRC(user);
+        return flush();
+      }).then(() => {
+        this.bot.newClient.should.not.have.been.called;
+        this.bot.ircClient.say.should.have.been.calledWith('#irc', '<alice> again');
+      });
+    });
+
+    it('should connect a shadow client for other users', function () {
+      this.bot.sendMessagesToIRC(user);
+      return flush().then(() => {
+        this.bot.newClient.should.have.been.calledOnce;
+        this.bot.ircClient.say.should.not.have.been.called;
+      });
+    });
+  });
+});
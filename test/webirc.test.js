@@ -0,0 +1,24 @@
+/* eslint-disable prefer-arrow-callback */
+import chai from 'chai';
+import { webircHost } from '../lib/helpers';
+import { validateWebirc } from '../lib/validators';
+
+chai.should();
+
+describe('WEBIRC', function () {
+  it('should render the host of a shadow client', function () {
+    webircHost('$userid.slack.example', 'U024BE7LH', 'alice').should.equal('u024be7lh.slack.example');
+    webircHost('$username.users.example', 'U1', 'Alice Smith').should.equal('alice-smith.users.example');
+  });
+
+  it('should fall back to the user ID for names without any usable characters', function () {
+    webircHost('$username.slack', 'U1', '日本').should.equal('u1.slack');
+  });
+
+  it('should require a password and an ip', function () {
+    const webirc = { password: 'secret', ip: '192.0.2.1' };
+    validateWebirc(webirc).should.equal(webirc);
+    (() => validateWebirc({ password: 'secret' })).should.throw('webirc needs a password');
+    (() => validateWebirc({ ip: '192.0.2.1' })).should.throw('webirc needs a password');
+  });
+});